@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const RedisClient = require('./redis');
+
+// Token verification for services other than auth: tokens are checked against
+// the auth service, which also resolves the admin's current permissions.
+const AUTH_SERVICE_URL = process.env.AUTH_SERVICE_URL || `http://localhost:${process.env.AUTH_SERVICE_PORT || 3001}`;
+const AUTH_CACHE_TTL = parseInt(process.env.AUTH_CACHE_TTL) || 60; // seconds
+
+// Shared by all services, so the auth service can evict a token on logout
+const verifiedTokenCacheKey = (token) => `auth:verified:${crypto.createHash('sha256').update(token).digest('hex')}`;
+
+// Every cached verification records the admin's cache version when it was
+// made; bumping the version invalidates all of them at once, e.g. when the
+// admin is deactivated or their role's permissions change
+const adminCacheVersionKey = (adminId) => `auth:admin-version:${adminId}`;
+const ADMIN_VERSION_TTL = 24 * 60 * 60; // seconds, far beyond any cached verification
+
+async function evictAdminVerifications(adminIds) {
+  await Promise.all([].concat(adminIds).map(adminId => (
+    RedisClient.set(adminCacheVersionKey(adminId), crypto.randomUUID(), ADMIN_VERSION_TTL)
+  )));
+}
+
+// Verify a token against the auth service, caching the result briefly
+async function verifyTokenWithAuthService(token) {
+  const cacheKey = verifiedTokenCacheKey(token);
+
+  const cached = await RedisClient.get(cacheKey);
+  if (cached && await RedisClient.get(adminCacheVersionKey(cached.admin._id)) === cached.version) {
+    return { admin: cached.admin, permissions: cached.permissions };
+  }
+
+  // Read before verifying, so an eviction racing with it wins
+  const decoded = jwt.decode(token);
+  const version = decoded && decoded.adminId
+    ? await RedisClient.get(adminCacheVersionKey(decoded.adminId))
+    : null;
+
+  const response = await axios.post(`${AUTH_SERVICE_URL}/api/auth/verify`, {}, {
+    headers: { Authorization: `Bearer ${token}` },
+    timeout: 5000
+  });
+  const { admin, permissions } = response.data.data;
+  const result = { admin, permissions: permissions || [] };
+
+  // Never cache beyond the token's own expiry
+  const secondsLeft = decoded && decoded.exp
+    ? decoded.exp - Math.floor(Date.now() / 1000)
+    : AUTH_CACHE_TTL;
+  const ttl = Math.min(AUTH_CACHE_TTL, secondsLeft);
+  if (ttl > 0) {
+    await RedisClient.set(cacheKey, { ...result, version }, ttl);
+  }
+
+  return result;
+}
+
+// Authentication middleware: sets req.user and req.permissions
+const authenticateToken = async (req, res, next) => {
+  try {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. No token provided.'
+      });
+    }
+
+    const { admin, permissions } = await verifyTokenWithAuthService(token);
+    req.user = {
+      id: admin._id,
+      username: admin.username,
+      role: admin.role
+    };
+    req.permissions = permissions;
+    next();
+  } catch (error) {
+    // Relay the auth service's own 401 responses (invalid, expired, inactive)
+    if (error.response && error.response.status === 401) {
+      return res.status(401).json(error.response.data);
+    }
+
+    if (!error.response && error.code) {
+      console.error('Auth service unreachable:', error.message);
+      return res.status(503).json({
+        success: false,
+        message: 'Authentication service is unavailable'
+      });
+    }
+
+    // Throttled or failing auth service: the token may well be valid, so ask
+    // the client to retry instead of reporting an error of our own
+    if (error.response && (error.response.status === 429 || error.response.status >= 500)) {
+      console.error(`Auth service answered ${error.response.status} to a token verification`);
+      res.set('Retry-After', error.response.headers['retry-after'] || '5');
+      return res.status(503).json({
+        success: false,
+        message: 'Authentication service is unavailable, please retry shortly'
+      });
+    }
+
+    console.error('Auth middleware error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error during authentication.'
+    });
+  }
+};
+
+// For public routes with extras reserved to admins: the permissions of the
+// request's token, or none when it has no token or the token cannot be verified
+async function optionalPermissions(req) {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  if (!token) return [];
+
+  try {
+    const { permissions } = await verifyTokenWithAuthService(token);
+    return permissions;
+  } catch (error) {
+    return [];
+  }
+}
+
+module.exports = {
+  verifiedTokenCacheKey,
+  evictAdminVerifications,
+  verifyTokenWithAuthService,
+  authenticateToken,
+  optionalPermissions
+};
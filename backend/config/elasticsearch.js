@@ -1,9 +1,95 @@
 const { Client } = require('@elastic/elasticsearch');
 
+// Reads and writes go through the alias; the concrete index is versioned so a
+// new mapping can be filled alongside the old one and swapped in atomically.
+// Bump the version whenever getCoursesIndexDefinition() changes.
+const COURSES_ALIAS = 'courses';
+const COURSES_INDEX_VERSION = 5;
+
+// Synonyms live in an Elasticsearch synonyms set so they can be edited at
+// runtime: updating a rule reloads the search analyzers that use it, without
+// reindexing. The defaults only seed a cluster that has no set yet.
+const SYNONYMS_SET = process.env.ELASTICSEARCH_SYNONYMS_SET || 'courses-synonyms';
+const DEFAULT_SYNONYMS = [
+  'js, javascript',
+  'ts, typescript',
+  'ml, machine learning',
+  'ai, artificial intelligence',
+  'k8s, kubernetes',
+  'db, database',
+  'ui, user interface',
+  'ux, user experience'
+];
+
+// The 8.x client returns bodies directly, older ones wrap them in { body }
+const unwrap = (response) => (response && response.body !== undefined ? response.body : response);
+
+// Search facets and the normalized filter keys each one owns. A facet's
+// counts ignore its own selection so the other values stay selectable.
+const FACET_FILTER_KEYS = {
+  category: ['categories'],
+  level: ['levels'],
+  instructor: ['instructor'],
+  tags: ['tags', 'tags_match'],
+  price: ['free', 'price_min', 'price_max'],
+  duration: ['duration_min', 'duration_max'],
+  rating: ['rating_min']
+};
+
+const TERM_FACETS = {
+  category: { field: 'category', size: 20 },
+  level: { field: 'level', size: 10 },
+  instructor: { field: 'instructor.keyword', size: 20 },
+  tags: { field: 'tags', size: 30 }
+};
+
+// Buckets for the numeric facets, described by the filters that select them
+// so a bucket's count always matches what choosing it returns
+const RANGE_FACETS = {
+  price: [
+    { key: 'free', filters: { free: true } },
+    { key: 'under_50', filters: { free: false, price_max: 50 } },
+    { key: '50_100', filters: { price_min: 50, price_max: 100 } },
+    { key: '100_200', filters: { price_min: 100, price_max: 200 } },
+    { key: '200_plus', filters: { price_min: 200 } }
+  ],
+  duration: [
+    { key: 'under_5', filters: { duration_max: 5 } },
+    { key: '5_20', filters: { duration_min: 5, duration_max: 20 } },
+    { key: '20_50', filters: { duration_min: 20, duration_max: 50 } },
+    { key: '50_plus', filters: { duration_min: 50 } }
+  ],
+  rating: [
+    { key: '4_5_plus', filters: { rating_min: 4.5 } },
+    { key: '4_plus', filters: { rating_min: 4 } },
+    { key: '3_5_plus', filters: { rating_min: 3.5 } },
+    { key: '3_plus', filters: { rating_min: 3 } }
+  ]
+};
+
+const DEFAULT_HIGHLIGHT = { pre_tag: '<mark>', post_tag: '</mark>' };
+
+const pickFilters = (filters, keys) => Object.fromEntries(
+  Object.entries(filters).filter(([key]) => keys.includes(key))
+);
+
+const omitFilters = (filters, keys) => Object.fromEntries(
+  Object.entries(filters).filter(([key]) => !keys.includes(key))
+);
+
+// Case-insensitive "contains" match on a keyword field, the same semantics
+// as the MongoDB instructor filter
+const containsQuery = (field, value) => ({
+  wildcard: {
+    [field]: { value: `*${String(value).replace(/[\\*?]/g, '\\$&')}*`, case_insensitive: true }
+  }
+});
+
 class ElasticsearchClient {
   constructor() {
     this.client = null;
     this.isConnected = false;
+    this.pendingRollover = null;
   }
 
   async connect() {
@@ -23,10 +109,13 @@ class ElasticsearchClient {
 
       // Test connection
       const info = await this.client.info();
-      console.log('✅ Elasticsearch connected successfully:', info.body.version.number);
+      console.log('✅ Elasticsearch connected successfully:', unwrap(info).version.number);
       this.isConnected = true;
       
-      // Create courses index if it doesn't exist
+      // The courses analyzers reference the synonyms set, so it must exist first
+      await this.ensureSynonymsSet();
+
+      // Create the courses index and alias if they don't exist
       await this.createCoursesIndex();
       
       return this.client;
@@ -38,55 +127,255 @@ class ElasticsearchClient {
     }
   }
 
-  async createCoursesIndex() {
-    const indexName = 'courses';
-    
-    try {
-      const { body: exists } = await this.client.indices.exists({ index: indexName });
-      
-      if (!exists) {
-        await this.client.indices.create({
-          index: indexName,
-          body: {
-            mappings: {
-              properties: {
-                course_id: { type: 'keyword' },
-                title: { 
-                  type: 'text',
-                  analyzer: 'standard',
-                  fields: {
-                    keyword: { type: 'keyword' }
-                  }
-                },
-                description: { 
-                  type: 'text',
-                  analyzer: 'standard'
-                },
-                category: { type: 'keyword' },
-                instructor: { 
-                  type: 'text',
-                  fields: {
-                    keyword: { type: 'keyword' }
-                  }
-                },
-                duration: { type: 'integer' },
-                created_at: { type: 'date' },
-                updated_at: { type: 'date' }
-              }
+  // Name of the concrete index for a mapping version, e.g. courses_v2
+  versionedIndexName(version = COURSES_INDEX_VERSION) {
+    return `${COURSES_ALIAS}_v${version}`;
+  }
+
+  getCoursesIndexDefinition() {
+    return {
+      settings: {
+        number_of_shards: 1,
+        number_of_replicas: 0,
+        analysis: {
+          filter: {
+            course_shingle: { type: 'shingle', min_shingle_size: 2, max_shingle_size: 3 },
+            course_synonyms: { type: 'synonym_graph', synonyms_set: SYNONYMS_SET, updateable: true },
+            english_possessive_stemmer: { type: 'stemmer', language: 'possessive_english' },
+            english_stemmer: { type: 'stemmer', language: 'light_english' }
+          },
+          analyzer: {
+            // Course text is folded to ASCII and stemmed; synonyms are expanded
+            // at search time only, which is what lets them change without a reindex
+            course_text: {
+              type: 'custom',
+              tokenizer: 'standard',
+              filter: ['lowercase', 'asciifolding', 'english_possessive_stemmer', 'english_stemmer']
             },
-            settings: {
-              number_of_shards: 1,
-              number_of_replicas: 0
-            }
+            course_search: {
+              type: 'custom',
+              tokenizer: 'standard',
+              filter: ['lowercase', 'asciifolding', 'course_synonyms', 'english_possessive_stemmer', 'english_stemmer']
+            },
+            // Word n-grams for the phrase suggester behind "did you mean"
+            trigram: { type: 'custom', tokenizer: 'standard', filter: ['lowercase', 'course_shingle'] }
           }
+        }
+      },
+      mappings: {
+        dynamic: 'strict',
+        properties: {
+          course_id: { type: 'keyword' },
+          title: {
+            type: 'text',
+            analyzer: 'course_text',
+            search_analyzer: 'course_search',
+            copy_to: 'did_you_mean',
+            fields: {
+              keyword: { type: 'keyword' },
+              suggest: { type: 'completion' }
+            }
+          },
+          description: {
+            type: 'text',
+            analyzer: 'course_text',
+            search_analyzer: 'course_search',
+            copy_to: 'did_you_mean'
+          },
+          did_you_mean: { type: 'text', analyzer: 'trigram' },
+          category: { type: 'keyword' },
+          instructor: {
+            type: 'text',
+            fields: {
+              keyword: { type: 'keyword' },
+              suggest: { type: 'completion' }
+            }
+          },
+          duration: { type: 'float' },
+          level: { type: 'keyword' },
+          price: { type: 'float' },
+          enrollments: { type: 'integer' },
+          rating: { type: 'float' },
+          tags: {
+            type: 'keyword',
+            fields: {
+              suggest: { type: 'completion' }
+            }
+          },
+          prerequisites: { type: 'text', analyzer: 'course_text', search_analyzer: 'course_search' },
+          learning_outcomes: { type: 'text', analyzer: 'course_text', search_analyzer: 'course_search' },
+          thumbnail_url: { type: 'keyword', index: false },
+          status: { type: 'keyword' },
+          created_by: { type: 'keyword' },
+          created_at: { type: 'date' },
+          updated_at: { type: 'date' }
+        }
+      }
+    };
+  }
+
+  async ensureSynonymsSet() {
+    try {
+      await this.client.synonyms.getSynonym({ id: SYNONYMS_SET, size: 1 });
+    } catch (error) {
+      if (!error.meta || error.meta.statusCode !== 404) {
+        console.error('❌ Error checking synonyms set:', error);
+        return;
+      }
+
+      await this.client.synonyms.putSynonym({
+        id: SYNONYMS_SET,
+        synonyms_set: DEFAULT_SYNONYMS.map(synonyms => ({ synonyms }))
+      });
+      console.log(`✅ Synonyms set ${SYNONYMS_SET} created with ${DEFAULT_SYNONYMS.length} default rules`);
+    }
+  }
+
+  // Synonym rules are managed by admins; unlike the search helpers these
+  // methods throw so the API can report what the cluster rejected
+  async getSynonymRules() {
+    const response = unwrap(await this.client.synonyms.getSynonym({ id: SYNONYMS_SET, size: 10000 }));
+    return {
+      set_id: SYNONYMS_SET,
+      count: response.count,
+      rules: response.synonyms_set.map(rule => ({ id: rule.id, synonyms: rule.synonyms }))
+    };
+  }
+
+  // Create or replace one rule; Elasticsearch reloads the search analyzers
+  // of every index using the set before it responds
+  async putSynonymRule(ruleId, synonyms) {
+    const response = unwrap(await this.client.synonyms.putSynonymRule({
+      set_id: SYNONYMS_SET,
+      rule_id: ruleId,
+      synonyms
+    }));
+    return { id: ruleId, synonyms, result: response.result };
+  }
+
+  async deleteSynonymRule(ruleId) {
+    await this.client.synonyms.deleteSynonymRule({ set_id: SYNONYMS_SET, rule_id: ruleId });
+  }
+
+  // Concrete index currently behind the courses alias, if any
+  async getAliasTarget() {
+    const exists = unwrap(await this.client.indices.existsAlias({ name: COURSES_ALIAS }));
+    if (!exists) return null;
+
+    const aliases = unwrap(await this.client.indices.getAlias({ name: COURSES_ALIAS }));
+    return Object.keys(aliases)[0] || null;
+  }
+
+  async createVersionedIndex(indexName) {
+    const exists = unwrap(await this.client.indices.exists({ index: indexName }));
+    if (!exists) {
+      await this.client.indices.create({
+        index: indexName,
+        body: this.getCoursesIndexDefinition()
+      });
+      console.log(`✅ Courses index ${indexName} created successfully`);
+    }
+  }
+
+  // Make sure the courses alias exists. A fresh cluster gets the current
+  // versioned index straight away; when the alias points at an older version
+  // (or a pre-alias "courses" index exists) the new index is created and a
+  // rollover is left pending until it has been filled.
+  async createCoursesIndex() {
+    const targetIndex = this.versionedIndexName();
+    this.pendingRollover = null;
+
+    try {
+      const currentIndex = await this.getAliasTarget();
+      if (currentIndex === targetIndex) return;
+
+      // Before versioning, documents lived in a concrete index named like the alias
+      const legacyIndex = !currentIndex && unwrap(await this.client.indices.exists({ index: COURSES_ALIAS }))
+        ? COURSES_ALIAS
+        : null;
+
+      await this.createVersionedIndex(targetIndex);
+
+      if (!currentIndex && !legacyIndex) {
+        await this.client.indices.updateAliases({
+          body: { actions: [{ add: { index: targetIndex, alias: COURSES_ALIAS } }] }
         });
-        console.log('✅ Courses index created successfully');
+        console.log(`✅ Courses alias now points to ${targetIndex}`);
+        return;
       }
+
+      this.pendingRollover = { from: currentIndex || legacyIndex, to: targetIndex, legacy: !!legacyIndex };
+      console.log(`ℹ️ Courses index ${this.pendingRollover.from} is outdated, ${targetIndex} needs a reindex`);
     } catch (error) {
       console.error('❌ Error creating courses index:', error);
     }
   }
 
+  needsRollover() {
+    return !!this.pendingRollover;
+  }
+
+  // Indices that document writes go to. While a rollover is pending the new
+  // index gets every write as well, so nothing written during the fill is lost.
+  writeIndices() {
+    return this.pendingRollover ? [COURSES_ALIAS, this.pendingRollover.to] : [COURSES_ALIAS];
+  }
+
+  // Fill the new index through `loadCourses(indexName)`, then atomically point
+  // the alias at it and drop the old index. Reads keep hitting the old index
+  // until the swap.
+  async rolloverCoursesIndex(loadCourses) {
+    if (!this.pendingRollover) return false;
+
+    const { from, to, legacy } = this.pendingRollover;
+
+    await loadCourses(to);
+    await this.client.indices.refresh({ index: to });
+
+    const actions = legacy
+      ? [{ remove_index: { index: from } }, { add: { index: to, alias: COURSES_ALIAS } }]
+      : [{ remove: { index: from, alias: COURSES_ALIAS } }, { add: { index: to, alias: COURSES_ALIAS } }];
+
+    await this.client.indices.updateAliases({ body: { actions } });
+    this.pendingRollover = null;
+    console.log(`✅ Courses alias swapped from ${from} to ${to}`);
+
+    // remove_index already deleted a legacy index along with the swap
+    if (!legacy) {
+      try {
+        await this.client.indices.delete({ index: from });
+      } catch (error) {
+        console.warn(`⚠️ Could not delete old courses index ${from}:`, error.message);
+      }
+    }
+    return true;
+  }
+
+  buildCourseDocument(course) {
+    const list = (value) => (value ? Array.from(value) : []);
+
+    return {
+      course_id: course.course_id,
+      title: course.title,
+      description: course.description,
+      category: course.category,
+      instructor: course.instructor,
+      duration: course.duration,
+      level: course.level,
+      price: course.price,
+      enrollments: course.enrollments,
+      rating: course.rating,
+      tags: list(course.tags),
+      prerequisites: list(course.prerequisites),
+      learning_outcomes: list(course.learning_outcomes),
+      thumbnail_url: course.thumbnail_url,
+      status: course.status,
+      created_by: course.created_by,
+      created_at: course.created_at,
+      updated_at: course.updated_at
+    };
+  }
+
   async indexCourse(course) {
     if (!this.isConnected || !this.client) {
       console.warn('Elasticsearch not connected, skipping indexing');
@@ -94,36 +383,228 @@ class ElasticsearchClient {
     }
 
     try {
-      await this.client.index({
-        index: 'courses',
+      const body = this.buildCourseDocument(course);
+      await Promise.all(this.writeIndices().map(index => this.client.index({
+        index,
         id: course._id.toString(),
-        body: {
-          course_id: course.course_id,
-          title: course.title,
-          description: course.description,
-          category: course.category,
-          instructor: course.instructor,
-          duration: course.duration,
-          created_at: course.created_at,
-          updated_at: course.updated_at
+        body
+      })));
+      return true;
+    } catch (error) {
+      console.error('Error indexing course:', error);
+      return false;
+    }
+  }
+
+  // Index published courses and drop all others in a single _bulk request.
+  // `index` targets a specific concrete index, e.g. a new version being filled;
+  // by default the batch goes to every write index. Returns { indexed,
+  // removed, failed, errors } where errors lists the course ids the cluster
+  // rejected and why; a pending rollover's copy only adds to the failures.
+  async bulkSyncCourses(courses, { index } = {}) {
+    if (!this.isConnected || !this.client) {
+      console.warn('Elasticsearch not connected, skipping bulk sync');
+      return { indexed: 0, removed: 0, failed: courses.length, errors: [] };
+    }
+
+    if (courses.length === 0) {
+      return { indexed: 0, removed: 0, failed: 0, errors: [] };
+    }
+
+    try {
+      const indices = index ? [index] : this.writeIndices();
+      const operations = indices.flatMap(target => courses.flatMap(course => (
+        course.status === 'published'
+          ? [{ index: { _index: target, _id: course._id.toString() } }, this.buildCourseDocument(course)]
+          : [{ delete: { _index: target, _id: course._id.toString() } }]
+      )));
+
+      const response = unwrap(await this.client.bulk({ operations }));
+      const result = { indexed: 0, removed: 0, failed: 0, errors: [] };
+
+      (response.items || []).forEach((item, position) => {
+        const outcome = item.index || item.delete;
+        // Deleting a document that was never indexed is not a failure
+        if (!outcome.error || (item.delete && outcome.status === 404)) {
+          if (position < courses.length) result[item.index ? 'indexed' : 'removed']++;
+          return;
         }
+        result.failed++;
+        result.errors.push({ id: outcome._id, status: outcome.status, reason: outcome.error.reason || outcome.error.type });
       });
+
+      return result;
+    } catch (error) {
+      console.error('Error bulk syncing courses:', error);
+      return { indexed: 0, removed: 0, failed: courses.length, errors: [{ id: null, reason: error.message }] };
+    }
+  }
+
+  // Ids of every document in `index`, one scroll page at a time
+  async *scanCourseIds({ index = COURSES_ALIAS, size = 1000 } = {}) {
+    const pages = this.client.helpers.scrollSearch({
+      index,
+      size,
+      _source: false,
+      query: { match_all: {} }
+    });
+    for await (const page of pages) {
+      yield page.body.hits.hits.map(hit => hit._id);
+    }
+  }
+
+  // Drop documents by id in one _bulk request. Returns { removed, failed, errors }.
+  async bulkDeleteCourses(ids, { index = COURSES_ALIAS } = {}) {
+    if (ids.length === 0) {
+      return { removed: 0, failed: 0, errors: [] };
+    }
+
+    const response = unwrap(await this.client.bulk({
+      operations: ids.map(id => ({ delete: { _index: index, _id: id } }))
+    }));
+    const result = { removed: 0, failed: 0, errors: [] };
+
+    (response.items || []).forEach(({ delete: outcome }) => {
+      if (!outcome.error || outcome.status === 404) {
+        result.removed++;
+        return;
+      }
+      result.failed++;
+      result.errors.push({ id: outcome._id, status: outcome.status, reason: outcome.error.reason || outcome.error.type });
+    });
+
+    return result;
+  }
+
+  // Number of courses behind the alias and the newest `updated_at` among
+  // them, used to decide how much a restart has to resync
+  async getIndexState() {
+    const response = unwrap(await this.client.search({
+      index: COURSES_ALIAS,
+      size: 0,
+      track_total_hits: true,
+      aggs: { last_update: { max: { field: 'updated_at' } } }
+    }));
+    const lastUpdate = response.aggregations.last_update.value;
+    return {
+      count: response.hits.total.value,
+      lastUpdatedAt: lastUpdate === null ? null : new Date(lastUpdate)
+    };
+  }
+
+  async deleteCourse(courseId) {
+    if (!this.isConnected || !this.client) {
+      console.warn('Elasticsearch not connected, skipping delete');
+      return false;
+    }
+
+    try {
+      await Promise.all(this.writeIndices().map(index => this.client.delete({
+        index,
+        id: courseId.toString()
+      }).catch(error => {
+        // Already absent from the index
+        if (error.meta && error.meta.statusCode === 404) return;
+        throw error;
+      })));
       return true;
     } catch (error) {
-      console.error('Error indexing course:', error);
+      console.error('Error deleting course from index:', error);
       return false;
     }
   }
 
-  async searchCourses(query, filters = {}, page = 1, size = 10) {
+  // Translate normalized course filters (see services/courses/queryBuilder.js)
+  // into bool filter clauses, mirroring the MongoDB query
+  buildFilterClauses(filters = {}) {
+    const clauses = [];
+    const range = (field, gte, lte) => {
+      const bounds = {};
+      if (gte !== undefined) bounds.gte = gte;
+      if (lte !== undefined) bounds.lte = lte;
+      if (Object.keys(bounds).length > 0) clauses.push({ range: { [field]: bounds } });
+    };
+
+    if (filters.categories) clauses.push({ terms: { category: filters.categories } });
+    if (filters.levels) clauses.push({ terms: { level: filters.levels } });
+    if (filters.instructor) clauses.push(containsQuery('instructor.keyword', filters.instructor));
+
+    if (filters.tags) {
+      if (filters.tags_match === 'all') {
+        filters.tags.forEach(tag => clauses.push({ term: { tags: tag } }));
+      } else {
+        clauses.push({ terms: { tags: filters.tags } });
+      }
+    }
+
+    if (filters.free === true) {
+      clauses.push({ term: { price: 0 } });
+    } else {
+      if (filters.free === false) clauses.push({ range: { price: { gt: 0 } } });
+      range('price', filters.price_min, filters.price_max);
+    }
+
+    range('duration', filters.duration_min, filters.duration_max);
+    range('rating', filters.rating_min, undefined);
+    range('created_at', filters.created_after, filters.created_before);
+
+    return clauses;
+  }
+
+  // Aggregations for every facet. Each one is scoped by the selections of
+  // all the other facets, mirroring the post_filter applied to the hits.
+  buildFacetAggregations(facetFilters) {
+    return Object.fromEntries(Object.entries(FACET_FILTER_KEYS).map(([name, ownKeys]) => {
+      const values = TERM_FACETS[name]
+        ? { terms: { field: TERM_FACETS[name].field, size: TERM_FACETS[name].size } }
+        : {
+            filters: {
+              filters: Object.fromEntries(RANGE_FACETS[name].map(bucket => [
+                bucket.key,
+                { bool: { filter: this.buildFilterClauses(bucket.filters) } }
+              ]))
+            }
+          };
+
+      return [name, {
+        filter: { bool: { filter: this.buildFilterClauses(omitFilters(facetFilters, ownKeys)) } },
+        aggs: { values }
+      }];
+    }));
+  }
+
+  parseFacets(aggregations) {
+    return Object.fromEntries(Object.keys(FACET_FILTER_KEYS).map(name => {
+      const { buckets } = aggregations[name].values;
+
+      return [name, TERM_FACETS[name]
+        ? buckets.map(bucket => ({ value: bucket.key, count: bucket.doc_count }))
+        : RANGE_FACETS[name].map(bucket => ({
+            key: bucket.key,
+            params: bucket.filters,
+            count: buckets[bucket.key].doc_count
+          }))];
+    }));
+  }
+
+  // Full-text search with filters and facet counts. Facet selections are
+  // applied as a post_filter so they narrow the hits without skewing the
+  // counts of the other facets; remaining filters narrow everything.
+  // Hits carry HTML-escaped title/description fragments wrapped in the given
+  // highlight tags, and `suggestion` is a phrase correction for the query.
+  // `ranking` blends popularity and freshness into the score (see
+  // services/courses/ranking.js); `explain` adds each hit's score breakdown.
+  // Returns null when the cluster can't answer so callers can fall back.
+  async searchCourses(query, filters = {}, page = 1, size = 10, { highlight = DEFAULT_HIGHLIGHT, ranking, explain = false } = {}) {
     if (!this.isConnected || !this.client) {
-      console.warn('Elasticsearch not connected, returning empty results');
-      return { hits: [], total: 0 };
+      console.warn('Elasticsearch not connected, skipping search');
+      return null;
     }
 
     try {
       const must = [];
-      const filter = [];
+      const facetKeys = Object.values(FACET_FILTER_KEYS).flat();
+      const facetFilters = pickFilters(filters, facetKeys);
 
       if (query) {
         must.push({
@@ -138,21 +619,30 @@ class ElasticsearchClient {
         must.push({ match_all: {} });
       }
 
-      if (filters.category) {
-        filter.push({ term: { category: filters.category } });
-      }
-
-      if (filters.instructor) {
-        filter.push({ term: { 'instructor.keyword': filters.instructor } });
-      }
+      const textQuery = {
+        bool: {
+          must,
+          filter: this.buildFilterClauses(omitFilters(filters, facetKeys))
+        }
+      };
 
       const searchBody = {
-        query: {
-          bool: {
-            must,
-            filter
+        query: ranking ? this.buildRankedQuery(textQuery, ranking) : textQuery,
+        explain,
+        post_filter: {
+          bool: { filter: this.buildFilterClauses(facetFilters) }
+        },
+        aggs: this.buildFacetAggregations(facetFilters),
+        highlight: {
+          pre_tags: [highlight.pre_tag],
+          post_tags: [highlight.post_tag],
+          encoder: 'html',
+          fields: {
+            title: { number_of_fragments: 0 },
+            description: { fragment_size: 150, number_of_fragments: 3 }
           }
         },
+        ...(query && { suggest: this.buildDidYouMean(query, highlight) }),
         from: (page - 1) * size,
         size,
         sort: [
@@ -161,24 +651,185 @@ class ElasticsearchClient {
         ]
       };
 
-      const response = await this.client.search({
-        index: 'courses',
+      const response = unwrap(await this.client.search({
+        index: COURSES_ALIAS,
         body: searchBody
-      });
+      }));
 
       return {
-        hits: response.body.hits.hits.map(hit => ({
+        hits: response.hits.hits.map(hit => ({
           ...hit._source,
           _id: hit._id,
-          _score: hit._score
+          _score: hit._score,
+          highlight: hit.highlight || {},
+          ...(explain && { _explanation: hit._explanation })
         })),
-        total: response.body.hits.total.value,
+        total: response.hits.total.value,
+        facets: this.parseFacets(response.aggregations),
+        suggestion: this.parseDidYouMean(response.suggest, query),
         page,
         size
       };
     } catch (error) {
       console.error('Error searching courses:', error);
-      return { hits: [], total: 0 };
+      return null;
+    }
+  }
+
+  // Published courses similar to `course` by title, description and tags,
+  // restricted to its category and level. The course text is passed as an
+  // artificial document, so drafts get related courses too.
+  // Returns null when the cluster can't answer so callers can fall back.
+  async relatedCourses(course, size = 5) {
+    if (!this.isConnected || !this.client) {
+      return null;
+    }
+
+    try {
+      const response = unwrap(await this.client.search({
+        index: COURSES_ALIAS,
+        body: {
+          query: {
+            bool: {
+              must: {
+                more_like_this: {
+                  fields: ['title', 'description', 'tags'],
+                  like: [{
+                    doc: {
+                      title: course.title,
+                      description: course.description,
+                      tags: course.tags ? Array.from(course.tags) : []
+                    }
+                  }],
+                  min_term_freq: 1,
+                  min_doc_freq: 1,
+                  max_query_terms: 25
+                }
+              },
+              filter: [
+                { term: { status: 'published' } },
+                { term: { category: course.category } },
+                { term: { level: course.level } }
+              ],
+              must_not: [{ ids: { values: [course._id.toString()] } }]
+            }
+          },
+          size
+        }
+      }));
+
+      return response.hits.hits.map(hit => ({
+        ...hit._source,
+        _id: hit._id,
+        _score: hit._score
+      }));
+    } catch (error) {
+      console.error('Error finding related courses:', error);
+      return null;
+    }
+  }
+
+  // Multiply text relevance by 1 + the weighted rating, log-scaled
+  // enrollments and recency signals. The constant function keeps the base at
+  // 1 so a course with no signals still ranks by relevance alone.
+  buildRankedQuery(query, ranking) {
+    return {
+      function_score: {
+        query,
+        functions: [
+          { weight: 1 },
+          {
+            field_value_factor: { field: 'rating', modifier: 'log1p', missing: 0 },
+            weight: ranking.rating_weight
+          },
+          {
+            field_value_factor: { field: 'enrollments', modifier: 'log1p', missing: 0 },
+            weight: ranking.enrollments_weight
+          },
+          {
+            gauss: {
+              created_at: {
+                origin: 'now',
+                scale: `${ranking.recency_scale_days}d`,
+                decay: ranking.recency_decay
+              }
+            },
+            weight: ranking.recency_weight
+          }
+        ].filter(fn => fn.weight > 0),
+        score_mode: 'sum',
+        boost_mode: 'multiply'
+      }
+    };
+  }
+
+  // Phrase suggester over the shingled title/description text. Collation
+  // drops corrections that would not match any course.
+  buildDidYouMean(query, highlight) {
+    return {
+      text: query,
+      did_you_mean: {
+        phrase: {
+          field: 'did_you_mean',
+          size: 1,
+          gram_size: 3,
+          direct_generator: [{ field: 'did_you_mean', suggest_mode: 'always' }],
+          highlight: { pre_tag: highlight.pre_tag, post_tag: highlight.post_tag },
+          collate: {
+            query: { source: { match: { did_you_mean: { query: '{{suggestion}}', operator: 'and' } } } },
+            prune: false
+          }
+        }
+      }
+    };
+  }
+
+  parseDidYouMean(suggest, query) {
+    const option = suggest && suggest.did_you_mean[0].options[0];
+    if (!option || option.text.toLowerCase() === query.toLowerCase()) return null;
+    return { text: option.text, highlighted: option.highlighted };
+  }
+
+  // Title, instructor and tag completions for a prefix, from the completion
+  // sub-fields. Returns null when the cluster can't answer so callers can
+  // fall back to another source.
+  async suggestCourses(prefix, size = 5) {
+    if (!this.isConnected || !this.client) {
+      return null;
+    }
+
+    const completion = (field) => ({
+      prefix,
+      completion: { field, size, skip_duplicates: true }
+    });
+
+    try {
+      const response = unwrap(await this.client.search({
+        index: COURSES_ALIAS,
+        body: {
+          _source: ['course_id', 'title'],
+          suggest: {
+            titles: completion('title.suggest'),
+            instructors: completion('instructor.suggest'),
+            tags: completion('tags.suggest')
+          }
+        }
+      }));
+
+      const options = (name) => response.suggest[name][0].options;
+
+      return {
+        titles: options('titles').map(option => ({
+          text: option.text,
+          _id: option._id,
+          course_id: option._source.course_id
+        })),
+        instructors: options('instructors').map(option => ({ text: option.text })),
+        tags: options('tags').map(option => ({ text: option.text }))
+      };
+    } catch (error) {
+      console.error('Error suggesting courses:', error);
+      return null;
     }
   }
 
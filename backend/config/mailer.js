@@ -0,0 +1,83 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Built-in transports, chosen with MAIL_TRANSPORT. Each one takes a message
+// ({ from, to, subject, text, html }) and resolves once it is delivered.
+// Messages carry invite, verification and reset tokens, so the default keeps
+// them out of the logs, and production only accepts real delivery.
+const TRANSPORTS = {
+  // Real delivery through an SMTP server
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+    return (message) => transporter.sendMail(message);
+  },
+
+  // Writes each message as an .eml file that any mail client can open; the
+  // default outside production
+  file: () => {
+    const dir = path.resolve(process.env.MAIL_FILE_DIR || 'tmp/mail');
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    return async (message) => {
+      const { message: raw } = await transporter.sendMail(message);
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${String(message.to).replace(/[^a-z0-9@._-]/gi, '_')}.eml`);
+      await fs.writeFile(file, raw);
+      console.log(`📧 Mail to ${message.to} written to ${file}`);
+    };
+  },
+
+  // Prints the plain-text body, tokens included; must be chosen explicitly
+  console: () => async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}\n`);
+  }
+};
+
+class Mailer {
+  constructor() {
+    this.transport = null;
+    this.transportName = null;
+  }
+
+  // Pass `transport` (a function taking a message) to plug in anything else
+  initialize({ transport } = {}) {
+    if (transport) {
+      this.transport = transport;
+      this.transportName = 'custom';
+      return;
+    }
+
+    const production = process.env.NODE_ENV === 'production';
+    const name = process.env.MAIL_TRANSPORT || (production ? 'smtp' : 'file');
+    if (!TRANSPORTS[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"; use ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+    if (production && (name !== 'smtp' || !process.env.SMTP_HOST)) {
+      throw new Error('Production needs MAIL_TRANSPORT=smtp and SMTP_HOST; other transports would leave account tokens on disk or in the logs');
+    }
+    this.transport = TRANSPORTS[name]();
+    this.transportName = name;
+  }
+
+  async send({ to, subject, text, html }) {
+    if (!this.transport) {
+      this.initialize();
+    }
+    await this.transport({
+      from: process.env.MAIL_FROM || 'Course Platform <no-reply@localhost>',
+      to,
+      subject,
+      text,
+      html
+    });
+  }
+}
+
+module.exports = new Mailer();
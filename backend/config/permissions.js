@@ -0,0 +1,51 @@
+// Permissions shared by every service. Roles map to a set of these; the
+// built-in roles live here, custom roles are stored by the auth service.
+const PERMISSIONS = {
+  'courses:write': 'Create, update, publish and archive courses',
+  'courses:delete': 'Delete courses',
+  'courses:import': 'Upload CSV imports, follow import jobs and export courses',
+  'search:manage': 'Reindex search and manage synonyms and ranking',
+  'analytics:read': 'Read search analytics reports',
+  'recommendations:manage': 'Manage the AI recommendations service',
+  'admins:manage': 'Invite and manage admins and roles'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Built-in roles cannot be edited or deleted
+const BUILT_IN_ROLES = {
+  super_admin: {
+    description: 'Full access, including admin management',
+    permissions: ALL_PERMISSIONS
+  },
+  admin: {
+    description: 'Manages courses, search and recommendations',
+    permissions: ALL_PERMISSIONS.filter(permission => permission !== 'admins:manage')
+  }
+};
+
+const isPermission = (value) => Object.prototype.hasOwnProperty.call(PERMISSIONS, value);
+
+// Middleware factory: the request must hold every listed permission. Runs after
+// a service's authenticateToken, which sets req.permissions.
+const requirePermission = (...required) => (req, res, next) => {
+  const granted = req.permissions || [];
+  const missing = required.filter(permission => !granted.includes(permission));
+
+  if (missing.length > 0) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Insufficient permissions.',
+      required_permissions: missing
+    });
+  }
+  next();
+};
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  BUILT_IN_ROLES,
+  isPermission,
+  requirePermission
+};
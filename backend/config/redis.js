@@ -99,6 +99,36 @@ class RedisClient {
     }
   }
 
+  // Delete every key matching a glob pattern. Uses SCAN + UNLINK so large
+  // keyspaces are walked incrementally instead of blocking Redis like KEYS would.
+  async delPattern(pattern, batchSize = 100) {
+    if (!this.isConnected) {
+      console.warn('Redis not connected, skipping pattern delete operation');
+      return 0;
+    }
+    try {
+      let deleted = 0;
+      let batch = [];
+
+      for await (const key of this.client.scanIterator({ MATCH: pattern, COUNT: batchSize })) {
+        batch.push(key);
+        if (batch.length >= batchSize) {
+          deleted += await this.client.unlink(batch);
+          batch = [];
+        }
+      }
+
+      if (batch.length > 0) {
+        deleted += await this.client.unlink(batch);
+      }
+
+      return deleted;
+    } catch (error) {
+      console.error('Redis pattern delete error:', error);
+      return 0;
+    }
+  }
+
   async disconnect() {
     if (this.client) {
       await this.client.disconnect();
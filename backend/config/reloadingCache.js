@@ -0,0 +1,46 @@
+// Base class for an in-memory copy of data kept in MongoDB. Each instance
+// re-reads it once the copy is older than `refreshIntervalMs`, so changes made
+// through another instance of the service still take effect.
+//
+// Subclasses implement load(), which reads MongoDB and replaces the copy, and
+// call start() from their initialize() once the model is set.
+class ReloadingCache {
+  constructor(label, { refreshIntervalMs = 30 * 1000 } = {}) {
+    this.label = label;
+    this.refreshIntervalMs = refreshIntervalMs;
+    this.started = false;
+    this.loadedAt = 0;
+  }
+
+  async load() {
+    throw new Error(`${this.constructor.name} must implement load()`);
+  }
+
+  async start() {
+    this.started = true;
+    await this.refresh();
+  }
+
+  async refresh() {
+    await this.load();
+    this.loadedAt = Date.now();
+  }
+
+  // For writes made through this instance, which already hold the new copy
+  markFresh() {
+    this.loadedAt = Date.now();
+  }
+
+  // Reload when stale; failures are logged and the old copy stays in use
+  async ensureFresh() {
+    if (!this.started || Date.now() - this.loadedAt <= this.refreshIntervalMs) return;
+
+    try {
+      await this.refresh();
+    } catch (error) {
+      console.error(`Error refreshing ${this.label}:`, error);
+    }
+  }
+}
+
+module.exports = ReloadingCache;
@@ -0,0 +1,56 @@
+// Script to create the first super_admin. Signup is invite-only, so this is
+// how a fresh deployment gets an account that can send invites. It refuses
+// to run once any super_admin exists.
+// Usage: node create-super-admin.js --username=admin --email=admin@example.com
+// The password is read from ADMIN_PASSWORD, or prompted for.
+require('dotenv').config();
+
+const readline = require('readline');
+const DatabaseConnection = require('./config/database');
+const AdminSchema = require('./services/auth/models/Admin');
+
+const arg = (name) => {
+  const match = process.argv.find(value => value.startsWith(`--${name}=`));
+  return match ? match.slice(name.length + 3) : undefined;
+};
+
+function prompt(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => rl.question(question, (answer) => {
+    rl.close();
+    resolve(answer);
+  }));
+}
+
+async function main() {
+  const username = arg('username');
+  const email = arg('email');
+
+  if (!username || !email) {
+    throw new Error('Usage: node create-super-admin.js --username=<name> --email=<email>');
+  }
+
+  const connection = await DatabaseConnection.connect('auth_service', process.env.MONGODB_URI);
+  const Admin = connection.model('Admin', AdminSchema);
+
+  if (await Admin.exists({ role: 'super_admin' })) {
+    throw new Error('A super_admin already exists; invite further admins through POST /api/auth/invites');
+  }
+
+  const password = process.env.ADMIN_PASSWORD || await prompt('Password: ');
+
+  const admin = await Admin.create({ username, email, password, role: 'super_admin' });
+
+  console.log(`✅ Created super_admin ${admin.username} <${admin.email}>`);
+}
+
+main()
+  .then(async () => {
+    await DatabaseConnection.closeAll();
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    console.error('❌ Could not create super_admin:', error.message);
+    await DatabaseConnection.closeAll();
+    process.exit(1);
+  });
@@ -0,0 +1,54 @@
+// Script to rebuild the Elasticsearch courses index from MongoDB
+// Usage: node reindex-courses.js [--batch-size=500]
+require('dotenv').config();
+
+const DatabaseConnection = require('./config/database');
+const ElasticsearchClient = require('./config/elasticsearch');
+const CourseSchema = require('./services/courses/models/Course');
+const { reindexAll } = require('./services/courses/searchSync');
+
+const batchArg = process.argv.find(arg => arg.startsWith('--batch-size='));
+const batchSize = batchArg ? parseInt(batchArg.split('=')[1]) : undefined;
+
+async function main() {
+  console.log('🔄 Reindexing courses into Elasticsearch...\n');
+
+  const connection = await DatabaseConnection.connect('course_service', process.env.MONGODB_URI);
+  const Course = connection.model('Course', CourseSchema);
+
+  await ElasticsearchClient.connect();
+  if (!ElasticsearchClient.isHealthy()) {
+    throw new Error('Elasticsearch is not available');
+  }
+
+  const report = await reindexAll(Course, {
+    ...(batchSize > 0 && { batchSize }),
+    onProgress: ({ total }) => process.stdout.write(`\r   ${total} courses processed`)
+  });
+
+  console.log('\n');
+  console.log(`📊 Courses:  ${report.total}`);
+  console.log(`✅ Indexed:  ${report.indexed}`);
+  console.log(`🗑️  Removed:  ${report.removed} (not published)`);
+  console.log(`🧹 Pruned:   ${report.pruned} (no longer published courses)`);
+  console.log(`❌ Failed:   ${report.failed}`);
+  console.log(`⏱️  Took:     ${report.took_ms}ms${report.rollover ? ' (alias swapped to the new index version)' : ''}`);
+
+  report.errors.forEach(error => console.log(`   - ${error.id}: ${error.reason}`));
+  if (report.failed > report.errors.length) {
+    console.log(`   ... and ${report.failed - report.errors.length} more`);
+  }
+
+  return report.failed === 0 ? 0 : 1;
+}
+
+main()
+  .then(async (code) => {
+    await DatabaseConnection.closeAll();
+    process.exit(code);
+  })
+  .catch(async (error) => {
+    console.error('❌ Reindex failed:', error.message);
+    await DatabaseConnection.closeAll();
+    process.exit(1);
+  });
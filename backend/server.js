@@ -36,6 +36,20 @@ const SERVICES = {
   AI: process.env.AI_SERVICE_URL || `http://localhost:${process.env.AI_SERVICE_PORT || 3003}`
 };
 
+// Headers copied from service responses besides X-* and RateLimit-* headers.
+// Retry-After and the services' rate limit headers tell clients when to retry.
+const FORWARDED_HEADERS = ['content-type', 'content-disposition', 'cache-control', 'retry-after'];
+
+const forwardResponse = (response, res) => {
+  res.status(response.status);
+  Object.entries(response.headers).forEach(([name, value]) => {
+    if (FORWARDED_HEADERS.includes(name) || name.startsWith('x-') || name.startsWith('ratelimit')) {
+      res.setHeader(name, value);
+    }
+  });
+  response.data.pipe(res);
+};
+
 // Proxy middleware
 const createProxy = (serviceUrl, serviceName) => {
   return async (req, res) => {
@@ -50,6 +64,8 @@ const createProxy = (serviceUrl, serviceName) => {
           host: undefined,
         },
         timeout: 30000,
+        // Stream responses so CSV/NDJSON downloads pass through untouched
+        responseType: 'stream',
       };
 
       if (req.body && Object.keys(req.body).length > 0) {
@@ -63,12 +79,12 @@ const createProxy = (serviceUrl, serviceName) => {
       const response = await axios(config);
       
       // Forward response
-      res.status(response.status).json(response.data);
+      forwardResponse(response, res);
     } catch (error) {
       console.error(`${serviceName} Service Error:`, error.message);
       
       if (error.response) {
-        res.status(error.response.status).json(error.response.data);
+        forwardResponse(error.response, res);
       } else if (error.code === 'ECONNREFUSED') {
         res.status(503).json({
           success: false,
@@ -134,24 +150,63 @@ app.get('/', (req, res) => {
     },
     endpoints: {
       auth: [
-        'POST /api/auth/signup - Admin registration',
+        'POST /api/auth/signup - Admin registration (invite only)',
         'POST /api/auth/login - Admin login',
+        'POST /api/auth/refresh - Refresh access token',
+        'POST /api/auth/verify-email - Verify email address',
+        'POST /api/auth/resend-verification - Resend verification email',
+        'POST /api/auth/forgot-password - Request password reset',
+        'POST /api/auth/reset-password - Reset password',
+        'POST /api/auth/logout - Revoke session',
         'GET /api/auth/profile - Get admin profile',
         'POST /api/auth/verify - Verify token',
-        'GET /api/auth/admin-only - Protected route'
+        'GET /api/auth/admin-only - Protected route',
+        'POST /api/auth/invites - Invite an admin',
+        'GET /api/auth/invites - List open invites',
+        'DELETE /api/auth/invites/:id - Revoke an invite',
+        'GET /api/auth/admins - List admins',
+        'PATCH /api/auth/admins/:id - Change role or active status',
+        'POST /api/auth/admins/:id/unlock - Unlock an admin',
+        'GET /api/auth/roles - List roles and permissions',
+        'POST /api/auth/roles - Create a custom role',
+        'PUT /api/auth/roles/:name - Update a custom role',
+        'DELETE /api/auth/roles/:name - Delete a custom role'
       ],
       courses: [
         'GET /api/courses - Get all courses with pagination',
         'GET /api/courses/search - Search courses with Elasticsearch',
+        'GET /api/courses/suggest - Autocomplete titles, instructors and tags',
+        'GET /api/courses/search/synonyms - List search synonym rules',
+        'POST /api/courses/search/synonyms - Add a search synonym rule',
+        'PUT /api/courses/search/synonyms/:ruleId - Create or replace a synonym rule',
+        'DELETE /api/courses/search/synonyms/:ruleId - Delete a synonym rule',
+        'GET /api/courses/search/ranking - Get search ranking weights',
+        'PUT /api/courses/search/ranking - Update search ranking weights',
+        'POST /api/courses/search/click - Record a search result click',
+        'GET /api/courses/search/analytics/top-queries - Top search queries',
+        'GET /api/courses/search/analytics/zero-results - Zero-result search queries',
+        'GET /api/courses/search/analytics/ctr - Search click-through rate',
+        'POST /api/courses/search/reindex - Start rebuilding the search index',
+        'GET /api/courses/search/reindex - Reindex progress',
+        'GET /api/courses/export - Export courses as CSV, JSON or NDJSON',
         'GET /api/courses/:id - Get single course',
-        'POST /api/courses/upload - Upload courses from CSV',
+        'GET /api/courses/:id/related - Get related courses',
+        'POST /api/courses/upload - Upload courses from CSV (background job)',
+        'GET /api/courses/imports/:jobId - Get CSV import job progress',
+        'GET /api/courses/imports/:jobId/errors.csv - Download rejected CSV rows',
         'POST /api/courses - Create new course',
+        'PUT /api/courses/:id - Replace course',
+        'PATCH /api/courses/:id - Update course',
+        'DELETE /api/courses/:id - Delete course',
+        'POST /api/courses/:id/publish - Publish course',
+        'POST /api/courses/:id/archive - Archive course',
         'GET /api/courses/stats/overview - Get statistics'
       ],
       ai: [
         'POST /api/recommendations - Get AI recommendations',
         'GET /api/recommendations/trending - Get trending courses',
-        'POST /api/recommendations/learning-path - Get learning path'
+        'POST /api/recommendations/learning-path - Get learning path',
+        'DELETE /api/recommendations/cache - Clear recommendation cache'
       ]
     },
     timestamp: new Date().toISOString()
@@ -1,3 +1,6 @@
+// Load .env before any module reads its settings
+require('dotenv').config();
+
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -5,9 +8,10 @@ const axios = require('axios');
 const rateLimit = require('express-rate-limit');
 const DatabaseConnection = require('../../config/database');
 const RedisClient = require('../../config/redis');
+const { authenticateToken } = require('../../config/authClient');
+const { requirePermission } = require('../../config/permissions');
 const CourseSchema = require('../courses/models/Course');
-
-require('dotenv').config();
+const { buildKeywordRegex } = require('../courses/queryBuilder');
 
 const app = express();
 const PORT = process.env.AI_SERVICE_PORT || 3003;
@@ -266,6 +270,13 @@ app.post('/api/recommendations', async (req, res) => {
       });
     }
 
+    if (!topics.every(topic => typeof topic === 'string' && topic.trim() !== '' && topic.length <= 100)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each topic must be a non-empty string of at most 100 characters'
+      });
+    }
+
     const validSkillLevels = ['Beginner', 'Intermediate', 'Advanced', 'any'];
     if (!validSkillLevels.includes(skill_level)) {
       return res.status(400).json({
@@ -369,14 +380,15 @@ async function enhanceRecommendationsWithRealData(aiRecommendations, preferences
     const query = { status: 'published' };
     
     if (preferences.topics.length > 0) {
-      query.$or = preferences.topics.map(topic => ({
-        $or: [
-          { category: new RegExp(topic, 'i') },
-          { title: new RegExp(topic, 'i') },
-          { description: new RegExp(topic, 'i') },
-          { tags: new RegExp(topic, 'i') }
-        ]
-      }));
+      query.$or = preferences.topics.flatMap(topic => {
+        const pattern = buildKeywordRegex(topic, 'topic');
+        return [
+          { category: pattern },
+          { title: pattern },
+          { description: pattern },
+          { tags: pattern }
+        ];
+      });
     }
 
     if (preferences.skill_level && preferences.skill_level !== 'any') {
@@ -419,6 +431,26 @@ async function enhanceRecommendationsWithRealData(aiRecommendations, preferences
   }
 }
 
+// Drop cached recommendations, trending courses and learning paths, e.g.
+// after a large course import
+app.delete('/api/recommendations/cache', authenticateToken, requirePermission('recommendations:manage'), async (req, res) => {
+  try {
+    const deleted = await RedisClient.delPattern(getCacheKey('*', '*'));
+
+    res.json({
+      success: true,
+      message: 'Recommendation cache cleared',
+      data: { deleted }
+    });
+  } catch (error) {
+    console.error('Clear cache error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while clearing the recommendation cache'
+    });
+  }
+});
+
 // Get trending courses based on AI analysis
 app.get('/api/recommendations/trending', async (req, res) => {
   try {
@@ -0,0 +1,50 @@
+// Account emails sent by the auth service. Links point at the frontend, which
+// posts the token back to the matching auth endpoint.
+const linkBase = () => (process.env.MAIL_LINK_BASE_URL || process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Plain-text body plus a minimal HTML version with the link as a button
+function build({ subject, intro, action, url, outro }) {
+  return {
+    subject,
+    text: `${intro}\n\n${action}: ${url}\n\n${outro}`,
+    html: `<p>${escapeHtml(intro)}</p>` +
+      `<p><a href="${escapeHtml(url)}">${escapeHtml(action)}</a></p>` +
+      `<p>${escapeHtml(outro)}</p>`
+  };
+}
+
+const inviteEmail = ({ role, token, expiresAt }) => build({
+  subject: 'You have been invited to the course platform',
+  intro: `You have been invited to join the course platform as ${role}.`,
+  action: 'Accept the invite',
+  url: `${linkBase()}/admin/signup?invite=${encodeURIComponent(token)}`,
+  outro: `The invite expires on ${expiresAt.toUTCString()}. If you were not expecting it, ignore this email.`
+});
+
+const verificationEmail = ({ username, token }) => build({
+  subject: 'Verify your email address',
+  intro: `Hi ${username}, please confirm this is your email address before signing in.`,
+  action: 'Verify email',
+  url: `${linkBase()}/admin/verify-email?token=${encodeURIComponent(token)}`,
+  outro: 'If you did not create an account, ignore this email.'
+});
+
+const passwordResetEmail = ({ username, token, expiresAt }) => build({
+  subject: 'Reset your password',
+  intro: `Hi ${username}, we received a request to reset your password.`,
+  action: 'Choose a new password',
+  url: `${linkBase()}/admin/reset-password?token=${encodeURIComponent(token)}`,
+  outro: `The link can be used once and expires on ${expiresAt.toUTCString()}. If you did not ask for a reset, ignore this email; your password stays the same.`
+});
+
+module.exports = {
+  inviteEmail,
+  verificationEmail,
+  passwordResetEmail
+};
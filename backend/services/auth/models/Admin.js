@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
 const adminSchema = new mongoose.Schema({
   username: {
@@ -23,9 +29,10 @@ const adminSchema = new mongoose.Schema({
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long']
   },
+  // Built-in (admin, super_admin) or custom role name; see config/permissions.js
   role: {
     type: String,
-    enum: ['admin', 'super_admin'],
+    trim: true,
     default: 'admin'
   },
   isActive: {
@@ -41,12 +48,42 @@ const adminSchema = new mongoose.Schema({
   },
   lockUntil: {
     type: Date
+  },
+  // Accounts created before verification existed count as verified; signup
+  // sets this to false until the emailed link is used
+  emailVerified: {
+    type: Boolean,
+    default: true
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // SHA-256 hashes of single-use tokens; the raw tokens are only emailed
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date
+  },
+  // Access tokens issued before this are rejected
+  passwordChangedAt: {
+    type: Date
   }
 }, {
   timestamps: true,
   toJSON: {
     transform: function(doc, ret) {
       delete ret.password;
+      delete ret.emailVerificationToken;
+      delete ret.passwordResetToken;
       delete ret.__v;
       return ret;
     }
@@ -56,6 +93,8 @@ const adminSchema = new mongoose.Schema({
 // Index for efficient queries
 adminSchema.index({ email: 1 });
 adminSchema.index({ username: 1 });
+adminSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+adminSchema.index({ passwordResetToken: 1 }, { sparse: true });
 
 // Virtual for account locked status
 adminSchema.virtual('isLocked').get(function() {
@@ -69,6 +108,9 @@ adminSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
     next();
   } catch (error) {
     next(error);
@@ -81,6 +123,44 @@ adminSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Start email verification; returns the raw token to email. Save afterwards.
+adminSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  this.emailVerified = false;
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  return token;
+};
+
+// Start a password reset; returns the raw token to email. Save afterwards.
+adminSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+  return token;
+};
+
+// Atomically spend an email verification token; resolves to the admin or null
+adminSchema.statics.consumeEmailVerificationToken = function(token) {
+  return this.findOneAndUpdate(
+    { emailVerificationToken: hashToken(token), emailVerificationExpires: { $gt: new Date() } },
+    {
+      $set: { emailVerified: true, emailVerifiedAt: new Date() },
+      $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+    },
+    { new: true }
+  );
+};
+
+// Atomically spend a password reset token; resolves to the admin or null
+adminSchema.statics.consumePasswordResetToken = function(token) {
+  return this.findOneAndUpdate(
+    { passwordResetToken: hashToken(token), passwordResetExpires: { $gt: new Date() } },
+    { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+    { new: true }
+  );
+};
+
 // Static method to handle login attempts
 adminSchema.methods.incLoginAttempts = async function() {
   // If we have a previous lock that has expired, restart at 1
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Single-use invitation to sign up as an admin. Like refresh tokens, only the
+// SHA-256 hash of the invite token is stored.
+const inviteSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please enter a valid email']
+  },
+  // Role the new admin gets; checked against the known roles when inviting
+  role: {
+    type: String,
+    trim: true,
+    default: 'admin'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  versionKey: false,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.tokenHash;
+      return ret;
+    }
+  }
+});
+
+inviteSchema.index({ email: 1, createdAt: -1 });
+
+module.exports = inviteSchema;
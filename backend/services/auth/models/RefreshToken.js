@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// One refresh token. Only the SHA-256 hash of the token is stored; the raw
+// value is handed to the client once. Every rotation of a login session
+// shares the session's `family`, so a replayed token can revoke them all.
+const refreshTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  family: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  // rotated: exchanged for a newer token; logout; reuse_detected: the family
+  // was revoked because a rotated token was presented again; inactive: the
+  // admin was deactivated or removed; password_reset: the password was reset
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'reuse_detected', 'inactive', 'password_reset']
+  },
+  replacedBy: {
+    type: String
+  },
+  createdByIp: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// MongoDB removes tokens once they can no longer be used
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ admin: 1 });
+
+module.exports = refreshTokenSchema;
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const { isPermission } = require('../../../config/permissions');
+
+// Custom role created by a super_admin. Built-in roles (admin, super_admin)
+// are defined in config/permissions.js and never stored.
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_-]{1,31}$/, 'Role name must be 2-32 characters: letters, digits, "_" or "-"']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  permissions: {
+    type: [String],
+    validate: {
+      validator: (permissions) => permissions.every(isPermission),
+      message: 'Unknown permission'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+module.exports = roleSchema;
@@ -0,0 +1,53 @@
+const { BUILT_IN_ROLES } = require('../../config/permissions');
+const ReloadingCache = require('../../config/reloadingCache');
+
+// Resolves role names to permissions: built-in roles from config, custom
+// roles from the Role collection
+class RoleRegistry extends ReloadingCache {
+  constructor() {
+    super('roles');
+    this.Role = null;
+    this.customRoles = new Map();
+  }
+
+  async initialize({ Role }) {
+    this.Role = Role;
+    await this.start();
+  }
+
+  async load() {
+    const roles = await this.Role.find().lean();
+    this.customRoles = new Map(roles.map(role => [role.name, role]));
+  }
+
+  isBuiltIn(name) {
+    return Object.prototype.hasOwnProperty.call(BUILT_IN_ROLES, name);
+  }
+
+  async exists(name) {
+    await this.ensureFresh();
+    return this.isBuiltIn(name) || this.customRoles.has(name);
+  }
+
+  // Unknown roles grant nothing
+  async getPermissions(name) {
+    await this.ensureFresh();
+    if (this.isBuiltIn(name)) return [...BUILT_IN_ROLES[name].permissions];
+    const role = this.customRoles.get(name);
+    return role ? [...role.permissions] : [];
+  }
+
+  async list() {
+    await this.ensureFresh();
+    return [
+      ...Object.entries(BUILT_IN_ROLES).map(([name, role]) => ({ name, ...role, builtIn: true })),
+      ...[...this.customRoles.values()]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(({ name, description, permissions, createdAt, updatedAt }) => ({
+          name, description, permissions, builtIn: false, createdAt, updatedAt
+        }))
+    ];
+  }
+}
+
+module.exports = new RoleRegistry();
@@ -1,15 +1,27 @@
+// Load .env before any module reads its settings
+require('dotenv').config();
+
 const express = require('express');
+const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const jwt = require('jsonwebtoken');
 const DatabaseConnection = require('../../config/database');
+const RedisClient = require('../../config/redis');
+const Mailer = require('../../config/mailer');
 const AdminSchema = require('./models/Admin');
-
-require('dotenv').config();
+const RefreshTokenSchema = require('./models/RefreshToken');
+const InviteSchema = require('./models/Invite');
+const RoleSchema = require('./models/Role');
+const RoleRegistry = require('./roles');
+const { TokenService, RefreshTokenError, hashToken, randomToken } = require('./tokenService');
+const { inviteEmail, verificationEmail, passwordResetEmail } = require('./emails');
+const { PERMISSIONS, isPermission, requirePermission } = require('../../config/permissions');
+const { verifiedTokenCacheKey, evictAdminVerifications } = require('../../config/authClient');
 
 const app = express();
 const PORT = process.env.AUTH_SERVICE_PORT || 3001;
+const INVITE_TTL_HOURS = parseInt(process.env.INVITE_TTL_HOURS) || 72;
 
 // Security middlewares
 app.use(helmet());
@@ -28,6 +40,8 @@ const limiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  // Other services verify every request they receive from behind one IP
+  skip: (req) => req.path === '/api/auth/verify'
 });
 
 const authLimiter = rateLimit({
@@ -39,18 +53,34 @@ const authLimiter = rateLimit({
   }
 });
 
-app.use('/api/auth', authLimiter);
+// Only credential endpoints are throttled this hard; /verify is called by other services
+app.use([
+  '/api/auth/login',
+  '/api/auth/signup',
+  '/api/auth/forgot-password',
+  '/api/auth/reset-password',
+  '/api/auth/verify-email',
+  '/api/auth/resend-verification'
+], authLimiter);
 app.use(limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Database connection
 let Admin;
+let RefreshToken;
+let Invite;
+let Role;
 
 // Connect to MongoDB and initialize model
 DatabaseConnection.connect('auth_service', process.env.MONGODB_URI)
-  .then((connection) => {
+  .then(async (connection) => {
     Admin = connection.model('Admin', AdminSchema);
+    RefreshToken = connection.model('RefreshToken', RefreshTokenSchema);
+    Invite = connection.model('Invite', InviteSchema);
+    Role = connection.model('Role', RoleSchema);
+    await RoleRegistry.initialize({ Role });
+    TokenService.initialize({ RefreshToken, Admin });
     console.log('✅ Auth Service: Database models initialized');
   })
   .catch((error) => {
@@ -58,18 +88,52 @@ DatabaseConnection.connect('auth_service', process.env.MONGODB_URI)
     process.exit(1);
   });
 
+// Redis holds the access token denylist. Without it logout still revokes the
+// refresh token, but the access token stays usable until it expires.
+RedisClient.connect()
+  .then(() => console.log('✅ Auth Service: Redis connected'))
+  .catch((error) => console.error('❌ Auth Service: Redis connection failed, access tokens cannot be revoked:', error.message));
+
+// Outgoing mail (MAIL_TRANSPORT: console, file or smtp)
+Mailer.initialize();
+console.log(`📧 Auth Service: Mail transport "${Mailer.transportName}"`);
+
 // Utility functions
-const generateToken = (adminId, role) => {
-  return jwt.sign(
-    { adminId, role },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
-  );
+// Send an account email; failures are logged, never surfaced to the caller
+const sendMail = async (to, message) => {
+  try {
+    await Mailer.send({ to, ...message });
+    return true;
+  } catch (error) {
+    console.error(`Error sending "${message.subject}" to ${to}:`, error.message);
+    return false;
+  }
 };
 
-const verifyToken = (token) => {
-  return jwt.verify(token, process.env.JWT_SECRET);
-};
+const requestMeta = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent')
+});
+
+// Admin fields exposed by the admin-management endpoints
+const serializeAdmin = (admin) => ({
+  id: admin._id,
+  username: admin.username,
+  email: admin.email,
+  role: admin.role,
+  isActive: admin.isActive,
+  isLocked: admin.isLocked,
+  lockUntil: admin.lockUntil,
+  loginAttempts: admin.loginAttempts || 0,
+  lastLogin: admin.lastLogin,
+  createdAt: admin.createdAt
+});
+
+// Reopen an invite whose signup did not go through
+const releaseInvite = (invite) => Invite.updateOne(
+  { _id: invite._id, acceptedBy: null },
+  { $unset: { acceptedAt: 1 } }
+);
 
 // Authentication middleware
 const authenticateToken = async (req, res, next) => {
@@ -84,7 +148,16 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    const decoded = verifyToken(token);
+    const decoded = TokenService.verifyAccessToken(token);
+
+    // Tokens issued before revocation support have no jti and cannot be revoked
+    if (!decoded.jti || await TokenService.isAccessTokenRevoked(decoded.jti)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. Token has been revoked.'
+      });
+    }
+
     const admin = await Admin.findById(decoded.adminId).select('-password');
     
     if (!admin || !admin.isActive) {
@@ -94,7 +167,18 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    if (admin.passwordChangedAt && decoded.iat < Math.floor(admin.passwordChangedAt.getTime() / 1000)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. Password changed since the token was issued.'
+      });
+    }
+
     req.admin = admin;
+    req.token = decoded;
+    req.accessToken = token;
+    // Resolved from the role on every request, so role changes apply at once
+    req.permissions = await RoleRegistry.getPermissions(admin.role);
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -129,16 +213,26 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Admin signup
+// Admin signup, by invitation only. The invite decides the email and role.
 app.post('/api/auth/signup', async (req, res) => {
+  let invite;
   try {
-    const { username, email, password, role = 'admin' } = req.body;
+    const { username, email, password, inviteToken } = req.body;
 
     // Validation
-    if (!username || !email || !password) {
+    if (!username || !password || !inviteToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username, password, and invite token are required'
+      });
+    }
+
+    // Objects would reach the duplicate check as query operators
+    if ([username, password, inviteToken].some(value => typeof value !== 'string') ||
+        (email !== undefined && typeof email !== 'string')) {
       return res.status(400).json({
         success: false,
-        message: 'Username, email, and password are required'
+        message: 'Username, email, password, and invite token must be strings'
       });
     }
 
@@ -149,12 +243,40 @@ app.post('/api/auth/signup', async (req, res) => {
       });
     }
 
+    // Claim the invite up front so it cannot be used twice
+    invite = await Invite.findOneAndUpdate(
+      {
+        tokenHash: hashToken(inviteToken),
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { $set: { acceptedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!invite) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invite is invalid, expired, or already used'
+      });
+    }
+
+    if (email && email.trim().toLowerCase() !== invite.email) {
+      await releaseInvite(invite);
+      return res.status(400).json({
+        success: false,
+        message: 'Email does not match the invite'
+      });
+    }
+
     // Check if admin already exists
     const existingAdmin = await Admin.findOne({
-      $or: [{ email }, { username }]
+      $or: [{ email: invite.email }, { username }]
     });
 
     if (existingAdmin) {
+      await releaseInvite(invite);
       return res.status(409).json({
         success: false,
         message: 'Admin with this email or username already exists'
@@ -164,33 +286,42 @@ app.post('/api/auth/signup', async (req, res) => {
     // Create new admin
     const admin = new Admin({
       username,
-      email,
+      email: invite.email,
       password,
-      role: ['admin', 'super_admin'].includes(role) ? role : 'admin'
+      role: invite.role
     });
 
+    // The invite token may have been passed on, so the address still has to
+    // be confirmed before the first login
+    const verificationToken = admin.createEmailVerificationToken();
     await admin.save();
+    await Invite.updateOne({ _id: invite._id }, { $set: { acceptedBy: admin._id } });
 
-    // Generate token
-    const token = generateToken(admin._id, admin.role);
+    const emailSent = await sendMail(admin.email, verificationEmail({ username: admin.username, token: verificationToken }));
 
     res.status(201).json({
       success: true,
-      message: 'Admin registered successfully',
+      message: 'Admin registered successfully. Check your email to verify your address before logging in.',
       data: {
         admin: {
           id: admin._id,
           username: admin.username,
           email: admin.email,
           role: admin.role,
-          isActive: admin.isActive
+          permissions: await RoleRegistry.getPermissions(admin.role),
+          isActive: admin.isActive,
+          emailVerified: admin.emailVerified
         },
-        token
+        emailSent
       }
     });
   } catch (error) {
     console.error('Signup error:', error);
-    
+
+    if (invite) {
+      await releaseInvite(invite).catch(() => {});
+    }
+
     if (error.name === 'ValidationError') {
       return res.status(400).json({
         success: false,
@@ -259,11 +390,18 @@ app.post('/api/auth/login', async (req, res) => {
       });
     }
 
+    if (!admin.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Email address not verified. Check your inbox or request a new link.'
+      });
+    }
+
     // Reset login attempts on successful login
     await admin.resetLoginAttempts();
 
-    // Generate token
-    const token = generateToken(admin._id, admin.role);
+    // Generate tokens
+    const tokens = await TokenService.issueTokens(admin, requestMeta(req));
 
     res.json({
       success: true,
@@ -274,10 +412,11 @@ app.post('/api/auth/login', async (req, res) => {
           username: admin.username,
           email: admin.email,
           role: admin.role,
+          permissions: await RoleRegistry.getPermissions(admin.role),
           isActive: admin.isActive,
           lastLogin: new Date()
         },
-        token
+        ...tokens
       }
     });
   } catch (error) {
@@ -296,7 +435,8 @@ app.get('/api/auth/profile', authenticateToken, async (req, res) => {
       success: true,
       message: 'Profile retrieved successfully',
       data: {
-        admin: req.admin
+        admin: req.admin,
+        permissions: req.permissions
       }
     });
   } catch (error) {
@@ -314,22 +454,743 @@ app.post('/api/auth/verify', authenticateToken, (req, res) => {
     success: true,
     message: 'Token is valid',
     data: {
-      admin: req.admin
+      admin: req.admin,
+      permissions: req.permissions
     }
   });
 });
 
-// Admin logout (optional - mainly for token blacklisting in production)
-app.post('/api/auth/logout', authenticateToken, (req, res) => {
-  // In production, you might want to blacklist the token
-  res.json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+// Confirm an email address with the token from the verification email
+app.post('/api/auth/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+
+    const admin = await Admin.consumeEmailVerificationToken(token);
+    if (!admin) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully. You can now log in.'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during email verification'
+    });
+  }
+});
+
+// Email a new verification link. The answer is the same whether or not the
+// address belongs to an unverified admin, so it cannot be used to probe accounts.
+app.post('/api/auth/resend-verification', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const admin = await Admin.findOne({ email: email.trim().toLowerCase(), emailVerified: false, isActive: true });
+    if (admin) {
+      const token = admin.createEmailVerificationToken();
+      await admin.save();
+      // Not awaited, so response time does not reveal whether the address is known
+      sendMail(admin.email, verificationEmail({ username: admin.username, token }));
+    }
+
+    res.json({
+      success: true,
+      message: 'If that address needs verifying, a new link is on its way.'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while sending verification email'
+    });
+  }
+});
+
+// Email a password reset link; same answer for known and unknown addresses
+app.post('/api/auth/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const admin = await Admin.findOne({ email: email.trim().toLowerCase(), isActive: true });
+    if (admin) {
+      const token = admin.createPasswordResetToken();
+      await admin.save();
+      // Not awaited, so response time does not reveal whether the address is known
+      sendMail(admin.email, passwordResetEmail({
+        username: admin.username,
+        token,
+        expiresAt: admin.passwordResetExpires
+      }));
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account uses that address, a password reset link is on its way.'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while requesting password reset'
+    });
+  }
+});
+
+// Set a new password with the token from the reset email. Signs the admin out
+// everywhere and clears any lockout.
+app.post('/api/auth/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || typeof token !== 'string' || !password || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and password are required'
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters long'
+      });
+    }
+
+    const admin = await Admin.consumePasswordResetToken(token);
+    if (!admin) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    admin.password = password;
+    admin.loginAttempts = 0;
+    admin.lockUntil = undefined;
+    // The reset link reached this address, which verifies it
+    if (!admin.emailVerified) {
+      admin.emailVerified = true;
+      admin.emailVerifiedAt = new Date();
+      admin.emailVerificationToken = undefined;
+      admin.emailVerificationExpires = undefined;
+    }
+    await admin.save();
+
+    await TokenService.revokeAdminSessions(admin._id, 'password_reset');
+    // Older access tokens fail verification from now on; other services
+    // must not keep accepting them from their cache
+    await evictAdminVerifications(admin._id);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. You can now log in.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during password reset'
+    });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const { admin, ...tokens } = await TokenService.rotateRefreshToken(refreshToken, requestMeta(req));
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        admin: {
+          id: admin._id,
+          username: admin.username,
+          email: admin.email,
+          role: admin.role,
+          permissions: await RoleRegistry.getPermissions(admin.role),
+          isActive: admin.isActive
+        },
+        ...tokens
+      }
+    });
+  } catch (error) {
+    if (error instanceof RefreshTokenError) {
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during token refresh'
+    });
+  }
+});
+
+// Admin logout: revokes the session's refresh tokens and denylists the
+// access token until it expires
+app.post('/api/auth/logout', authenticateToken, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    await Promise.all([
+      TokenService.revokeAccessToken(req.token),
+      // Other services cache verified tokens; drop this one right away
+      RedisClient.del(verifiedTokenCacheKey(req.accessToken)),
+      typeof refreshToken === 'string' && TokenService.revokeRefreshToken(refreshToken, req.admin._id)
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during logout'
+    });
+  }
+});
+
+// Invite an admin (super_admin only). The invite token is returned once and
+// must be passed to POST /api/auth/signup.
+app.post('/api/auth/invites', authenticateToken, requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const { email, role = 'admin' } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    if (typeof role !== 'string' || !await RoleRegistry.exists(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown role: ${role}`
+      });
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+    if (await Admin.exists({ email: normalizedEmail })) {
+      return res.status(409).json({
+        success: false,
+        message: 'Admin with this email already exists'
+      });
+    }
+
+    // A new invite replaces any open one for the same email
+    await Invite.updateMany(
+      { email: normalizedEmail, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    const inviteToken = randomToken();
+    const invite = await Invite.create({
+      email: normalizedEmail,
+      role,
+      tokenHash: hashToken(inviteToken),
+      invitedBy: req.admin._id,
+      expiresAt: new Date(Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000)
+    });
+
+    const emailSent = await sendMail(invite.email, inviteEmail({ role, token: inviteToken, expiresAt: invite.expiresAt }));
+
+    res.status(201).json({
+      success: true,
+      message: 'Invite created successfully',
+      data: {
+        invite,
+        inviteToken,
+        emailSent
+      }
+    });
+  } catch (error) {
+    console.error('Create invite error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.keys(error.errors).map(key => ({
+          field: key,
+          message: error.errors[key].message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while creating invite'
+    });
+  }
+});
+
+// List open invites (super_admin only)
+app.get('/api/auth/invites', authenticateToken, requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const invites = await Invite.find({
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      message: 'Invites retrieved successfully',
+      data: { invites }
+    });
+  } catch (error) {
+    console.error('List invites error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving invites'
+    });
+  }
+});
+
+// Revoke an open invite (super_admin only)
+app.delete('/api/auth/invites/:id', authenticateToken, requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const invite = mongoose.isValidObjectId(req.params.id)
+      ? await Invite.findOneAndUpdate(
+        { _id: req.params.id, acceptedAt: null, revokedAt: null },
+        { $set: { revokedAt: new Date() } },
+        { new: true }
+      )
+      : null;
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Open invite not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invite revoked successfully',
+      data: { invite }
+    });
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while revoking invite'
+    });
+  }
+});
+
+// List admins (super_admin only), optionally filtered by role or isActive
+app.get('/api/auth/admins', authenticateToken, requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const { role, isActive } = req.query;
+    const filter = {};
+
+    if (role !== undefined) {
+      if (!await RoleRegistry.exists(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown role: ${role}`
+        });
+      }
+      filter.role = role;
+    }
+
+    if (isActive !== undefined) {
+      if (!['true', 'false'].includes(isActive)) {
+        return res.status(400).json({
+          success: false,
+          message: 'isActive must be true or false'
+        });
+      }
+      filter.isActive = isActive === 'true';
+    }
+
+    const admins = await Admin.find(filter).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      message: 'Admins retrieved successfully',
+      data: {
+        admins: admins.map(serializeAdmin)
+      }
+    });
+  } catch (error) {
+    console.error('List admins error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving admins'
+    });
+  }
+});
+
+// Change another admin's role or deactivate/reactivate them (super_admin only)
+app.patch('/api/auth/admins/:id', authenticateToken, requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const { role, isActive } = req.body;
+
+    if (role === undefined && isActive === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide role and/or isActive'
+      });
+    }
+
+    if (role !== undefined && (typeof role !== 'string' || !await RoleRegistry.exists(role))) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown role: ${role}`
+      });
+    }
+
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'isActive must be a boolean'
+      });
+    }
+
+    const admin = mongoose.isValidObjectId(req.params.id) ? await Admin.findById(req.params.id) : null;
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    // Keeps super_admins from locking themselves out
+    if (admin._id.equals(req.admin._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role or status'
+      });
+    }
+
+    const losesSuperAdmin = admin.role === 'super_admin' && admin.isActive &&
+      ((role !== undefined && role !== 'super_admin') || isActive === false);
+    if (losesSuperAdmin) {
+      const otherSuperAdmins = await Admin.countDocuments({
+        _id: { $ne: admin._id },
+        role: 'super_admin',
+        isActive: true
+      });
+      if (otherSuperAdmins === 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'At least one active super_admin is required'
+        });
+      }
+    }
+
+    const updates = {};
+    if (role !== undefined) updates.role = role;
+    if (isActive !== undefined) updates.isActive = isActive;
+
+    const updated = await Admin.findByIdAndUpdate(admin._id, { $set: updates }, { new: true });
+
+    // A deactivated admin is signed out everywhere
+    if (isActive === false) {
+      await TokenService.revokeAdminSessions(admin._id, 'inactive');
+    }
+    // Other services must not keep serving cached verifications with the old
+    // role or status
+    await evictAdminVerifications(admin._id);
+
+    res.json({
+      success: true,
+      message: 'Admin updated successfully',
+      data: {
+        admin: serializeAdmin(updated)
+      }
+    });
+  } catch (error) {
+    console.error('Update admin error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating admin'
+    });
+  }
+});
+
+// Clear an admin's failed login lockout (super_admin only)
+app.post('/api/auth/admins/:id/unlock', authenticateToken, requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const admin = mongoose.isValidObjectId(req.params.id)
+      ? await Admin.findByIdAndUpdate(
+        req.params.id,
+        { $unset: { loginAttempts: 1, lockUntil: 1 } },
+        { new: true }
+      )
+      : null;
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Admin unlocked successfully',
+      data: {
+        admin: serializeAdmin(admin)
+      }
+    });
+  } catch (error) {
+    console.error('Unlock admin error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while unlocking admin'
+    });
+  }
+});
+
+// Validate the editable fields of a custom role
+const parseRoleInput = ({ description, permissions }) => {
+  if (!Array.isArray(permissions) || permissions.some(permission => typeof permission !== 'string')) {
+    return { error: 'permissions must be an array of permission names' };
+  }
+
+  const unknown = permissions.filter(permission => !isPermission(permission));
+  if (unknown.length > 0) {
+    return { error: `Unknown permission${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}` };
+  }
+
+  if (description !== undefined && typeof description !== 'string') {
+    return { error: 'description must be a string' };
+  }
+
+  return { role: { description, permissions: [...new Set(permissions)] } };
+};
+
+// List built-in and custom roles with the permission catalog (admins:manage)
+app.get('/api/auth/roles', authenticateToken, requirePermission('admins:manage'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      message: 'Roles retrieved successfully',
+      data: {
+        roles: await RoleRegistry.list(),
+        permissions: PERMISSIONS
+      }
+    });
+  } catch (error) {
+    console.error('List roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving roles'
+    });
+  }
+});
+
+// Create a custom role (admins:manage)
+app.post('/api/auth/roles', authenticateToken, requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const { name } = req.body;
+    const { role, error } = parseRoleInput(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (typeof name === 'string' && RoleRegistry.isBuiltIn(name.trim().toLowerCase())) {
+      return res.status(409).json({
+        success: false,
+        message: `${name} is a built-in role`
+      });
+    }
+
+    const created = await Role.create({ name, ...role, createdBy: req.admin._id });
+    await RoleRegistry.refresh();
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: { role: created }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Role already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.keys(error.errors).map(key => ({
+          field: key,
+          message: error.errors[key].message
+        }))
+      });
+    }
+
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while creating role'
+    });
+  }
+});
+
+// Replace a custom role's description and permissions (admins:manage)
+app.put('/api/auth/roles/:name', authenticateToken, requirePermission('admins:manage'), async (req, res) => {
+  try {
+    if (RoleRegistry.isBuiltIn(req.params.name)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Built-in roles cannot be changed'
+      });
+    }
+
+    const { role, error } = parseRoleInput(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const updated = await Role.findOneAndUpdate(
+      { name: req.params.name },
+      { $set: role },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    await RoleRegistry.refresh();
+    await evictAdminVerifications(await Admin.distinct('_id', { role: updated.name }));
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: { role: updated }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.keys(error.errors).map(key => ({
+          field: key,
+          message: error.errors[key].message
+        }))
+      });
+    }
+
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating role'
+    });
+  }
+});
+
+// Delete a custom role nobody holds or is invited to (admins:manage)
+app.delete('/api/auth/roles/:name', authenticateToken, requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (RoleRegistry.isBuiltIn(name)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const [admins, invites] = await Promise.all([
+      Admin.countDocuments({ role: name }),
+      Invite.countDocuments({ role: name, acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } })
+    ]);
+
+    if (admins > 0 || invites > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Role is still assigned',
+        data: { admins, invites }
+      });
+    }
+
+    const deleted = await Role.findOneAndDelete({ name });
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    await RoleRegistry.refresh();
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while deleting role'
+    });
+  }
 });
 
 // Sample admin-only protected route
-app.get('/api/auth/admin-only', authenticateToken, (req, res) => {
+app.get('/api/auth/admin-only', authenticateToken, requirePermission('admins:manage'), (req, res) => {
   res.json({
     success: true,
     message: 'Access granted to admin-only resource',
@@ -337,6 +1198,7 @@ app.get('/api/auth/admin-only', authenticateToken, (req, res) => {
       message: 'This is a protected admin-only route',
       admin: req.admin.username,
       role: req.admin.role,
+      permissions: req.permissions,
       timestamp: new Date().toISOString()
     }
   });
@@ -364,12 +1226,14 @@ app.use('*', (req, res) => {
 process.on('SIGTERM', async () => {
   console.log('Auth Service: Received SIGTERM, shutting down gracefully');
   await DatabaseConnection.closeAll();
+  await RedisClient.disconnect();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('Auth Service: Received SIGINT, shutting down gracefully');
   await DatabaseConnection.closeAll();
+  await RedisClient.disconnect();
   process.exit(0);
 });
 
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RedisClient = require('../../config/redis');
+const RoleRegistry = require('./roles');
+
+const ACCESS_TOKEN_EXPIRE = process.env.ACCESS_TOKEN_EXPIRE || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+const DENYLIST_PREFIX = 'auth:denylist:';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const randomToken = () => crypto.randomBytes(48).toString('base64url');
+
+// Raised when a refresh token cannot be exchanged; always answered with 401
+class RefreshTokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RefreshTokenError';
+  }
+}
+
+// Issues short-lived access tokens and rotating refresh tokens, and revokes
+// them. Access tokens carry a `jti` so a single token can be denylisted in
+// Redis until it would have expired anyway.
+class TokenService {
+  constructor() {
+    this.RefreshToken = null;
+    this.Admin = null;
+  }
+
+  initialize({ RefreshToken, Admin }) {
+    this.RefreshToken = RefreshToken;
+    this.Admin = Admin;
+  }
+
+  // The embedded permissions are a snapshot; the auth service resolves the
+  // current ones from the role on every verification
+  generateAccessToken(admin, permissions) {
+    return jwt.sign(
+      { adminId: admin._id, role: admin.role, permissions },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_EXPIRE, jwtid: crypto.randomUUID() }
+    );
+  }
+
+  verifyAccessToken(token) {
+    return jwt.verify(token, process.env.JWT_SECRET);
+  }
+
+  async storeRefreshToken(token, admin, family, meta = {}) {
+    await this.RefreshToken.create({
+      tokenHash: hashToken(token),
+      admin: admin._id,
+      family,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+      createdByIp: meta.ip,
+      userAgent: meta.userAgent
+    });
+  }
+
+  // Token pair for a new login session
+  async issueTokens(admin, meta) {
+    const refreshToken = randomToken();
+    await this.storeRefreshToken(refreshToken, admin, crypto.randomUUID(), meta);
+    return this.tokenPair(admin, refreshToken);
+  }
+
+  async tokenPair(admin, refreshToken) {
+    const accessToken = this.generateAccessToken(admin, await RoleRegistry.getPermissions(admin.role));
+    const { exp } = jwt.decode(accessToken);
+    return {
+      token: accessToken,
+      refreshToken,
+      expiresIn: exp - Math.floor(Date.now() / 1000)
+    };
+  }
+
+  // Exchange a refresh token for a new pair. The presented token is spent;
+  // presenting a spent token again means it leaked, so the whole family is
+  // revoked and the session has to log in again.
+  async rotateRefreshToken(token, meta) {
+    const stored = await this.RefreshToken.findOne({ tokenHash: hashToken(token) });
+
+    if (!stored) {
+      throw new RefreshTokenError('Invalid refresh token');
+    }
+
+    if (stored.revokedAt) {
+      if (stored.revokedReason === 'rotated') {
+        await this.revokeFamily(stored.family, 'reuse_detected');
+        console.warn(`Refresh token reuse detected for admin ${stored.admin}; session revoked`);
+      }
+      throw new RefreshTokenError('Refresh token has been revoked');
+    }
+
+    if (stored.expiresAt <= new Date()) {
+      throw new RefreshTokenError('Refresh token expired');
+    }
+
+    const admin = await this.Admin.findById(stored.admin);
+    if (!admin || !admin.isActive) {
+      await this.revokeFamily(stored.family, 'inactive');
+      throw new RefreshTokenError('Invalid or inactive admin');
+    }
+
+    const refreshToken = randomToken();
+
+    // Claim the token atomically so two concurrent refreshes cannot both win
+    const claimed = await this.RefreshToken.findOneAndUpdate(
+      { _id: stored._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'rotated', replacedBy: hashToken(refreshToken) } }
+    );
+    if (!claimed) {
+      await this.revokeFamily(stored.family, 'reuse_detected');
+      throw new RefreshTokenError('Refresh token has been revoked');
+    }
+
+    await this.storeRefreshToken(refreshToken, admin, stored.family, meta);
+
+    return { admin, ...(await this.tokenPair(admin, refreshToken)) };
+  }
+
+  async revokeFamily(family, reason) {
+    await this.RefreshToken.updateMany(
+      { family, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+
+  // Revoke the session a refresh token belongs to. Tokens of other admins
+  // are ignored. Returns whether a session was found.
+  async revokeRefreshToken(token, adminId) {
+    const stored = await this.RefreshToken.findOne({ tokenHash: hashToken(token), admin: adminId });
+    if (!stored) return false;
+
+    await this.revokeFamily(stored.family, 'logout');
+    return true;
+  }
+
+  // Denylist an access token until it expires
+  async revokeAccessToken(decoded) {
+    const ttl = decoded.exp - Math.floor(Date.now() / 1000);
+    if (!decoded.jti || ttl <= 0) return false;
+    return RedisClient.set(`${DENYLIST_PREFIX}${decoded.jti}`, true, ttl);
+  }
+
+  // Sign an admin out everywhere, e.g. when the account is deactivated
+  async revokeAdminSessions(adminId, reason) {
+    await this.RefreshToken.updateMany(
+      { admin: adminId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+
+  async isAccessTokenRevoked(jti) {
+    return Boolean(await RedisClient.get(`${DENYLIST_PREFIX}${jti}`));
+  }
+}
+
+module.exports = {
+  hashToken,
+  randomToken,
+  RefreshTokenError,
+  TokenService: new TokenService()
+};
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const ElasticsearchClient = require('../../config/elasticsearch');
+const {
+  countCsvRows,
+  readCsvInBatches,
+  planImport,
+  applyImportBatch,
+  summarizePlan
+} = require('./importer');
+
+const BATCH_SIZE = parseInt(process.env.IMPORT_BATCH_SIZE) || 500;
+const MAX_ROW_RESULTS = parseInt(process.env.IMPORT_MAX_ROW_RESULTS) || 1000;
+
+const removeFile = (filePath) => {
+  if (filePath && fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+};
+
+// Processes CSV import jobs one at a time, in the background of the course
+// service. Job state and progress are persisted on the ImportJob document.
+class ImportWorker {
+  constructor() {
+    this.Course = null;
+    this.ImportJob = null;
+    this.onCoursesSaved = async () => {};
+    this.queue = [];
+    this.running = false;
+    this.ready = false;
+  }
+
+  // Wire models, requeue jobs that never started and fail the ones a
+  // previous process died in the middle of
+  async initialize({ Course, ImportJob, onCoursesSaved }) {
+    this.Course = Course;
+    this.ImportJob = ImportJob;
+    if (onCoursesSaved) this.onCoursesSaved = onCoursesSaved;
+
+    const interrupted = await ImportJob.find({ status: 'processing' }).select('+file_path');
+    await ImportJob.updateMany(
+      { _id: { $in: interrupted.map(job => job._id) } },
+      { $set: { status: 'failed', error_message: 'Import interrupted by a service restart', finished_at: new Date() } }
+    );
+    interrupted.forEach(job => removeFile(job.file_path));
+
+    // Every queued job is in the collection, including any enqueued before now
+    const pending = await ImportJob.find({ status: 'queued' }).sort({ created_at: 1 }).select('_id');
+    this.queue = [];
+    this.ready = true;
+    pending.forEach(job => this.enqueue(job._id));
+  }
+
+  // Uploads are refused until initialize() has succeeded
+  isReady() {
+    return this.ready;
+  }
+
+  enqueue(jobId) {
+    this.queue.push(jobId.toString());
+    setImmediate(() => this.drain());
+  }
+
+  // Runs queued jobs one after another. A failing job is logged and never
+  // stops the queue or escapes as an unhandled rejection.
+  async drain() {
+    if (this.running || !this.ready) return;
+    this.running = true;
+
+    try {
+      while (this.queue.length > 0) {
+        const jobId = this.queue.shift();
+        try {
+          await this.runJob(jobId);
+        } catch (error) {
+          console.error(`Import job ${jobId} could not be run:`, error);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async runJob(jobId) {
+    let job;
+
+    try {
+      job = await this.ImportJob.findById(jobId).select('+file_path');
+      if (!job || job.status !== 'queued') return;
+
+      const totalRows = await countCsvRows(job.file_path);
+      if (totalRows === 0) {
+        throw new Error('CSV file is empty or invalid');
+      }
+
+      await this.ImportJob.updateOne({ _id: job._id }, {
+        $set: { status: 'processing', total_rows: totalRows, started_at: new Date() }
+      });
+
+      const seenIds = new Set();
+      let startRow = 1;
+
+      for await (const rows of readCsvInBatches(job.file_path, BATCH_SIZE)) {
+        await this.processBatch(job, rows, { startRow, seenIds });
+        startRow += rows.length;
+      }
+
+      await this.ImportJob.updateOne({ _id: job._id }, {
+        $set: { status: 'completed', finished_at: new Date() }
+      });
+    } catch (error) {
+      console.error(`Import job ${jobId} failed:`, error);
+      await this.ImportJob.updateOne({ _id: jobId }, {
+        $set: { status: 'failed', error_message: error.message, finished_at: new Date() }
+      }).catch(updateError => {
+        console.error(`Import job ${jobId} could not be marked failed:`, updateError);
+      });
+    } finally {
+      if (job) removeFile(job.file_path);
+    }
+  }
+
+  async processBatch(job, rows, { startRow, seenIds }) {
+    const plans = await planImport(this.Course, rows, {
+      mode: job.mode,
+      createdBy: job.created_by,
+      startRow,
+      seenIds
+    });
+
+    let sync = { indexed: 0, removed: 0, failed: 0 };
+
+    if (!job.dry_run) {
+      const savedCourses = await applyImportBatch(this.Course, plans);
+
+      if (savedCourses.length > 0) {
+        if (ElasticsearchClient.isHealthy()) {
+          sync = await ElasticsearchClient.bulkSyncCourses(savedCourses);
+        }
+        await this.onCoursesSaved(savedCourses);
+      }
+    }
+
+    const count = (action) => plans.filter(plan => plan.action === action).length;
+    const reported = plans
+      .filter(plan => job.dry_run || plan.action === 'rejected' || plan.issues.length > 0)
+      .map(summarizePlan);
+
+    const stored = await this.ImportJob.findById(job._id).select('row_results');
+    const room = Math.max(MAX_ROW_RESULTS - stored.row_results.length, 0);
+
+    const update = {
+      $inc: {
+        processed_rows: rows.length,
+        'counts.created': count('created'),
+        'counts.updated': count('updated'),
+        'counts.rejected': count('rejected'),
+        'counts.coerced': plans.filter(plan => plan.issues.some(issue => issue.action === 'coerced')).length,
+        'counts.indexed': sync.indexed + sync.removed,
+        'counts.index_failed': sync.failed
+      }
+    };
+
+    if (room > 0 && reported.length > 0) {
+      update.$push = { row_results: { $each: reported.slice(0, room) } };
+    }
+    if (startRow === 1) {
+      update.$set = { columns: Object.keys(rows[0]) };
+    }
+    if (reported.length > room) {
+      update.$set = { ...update.$set, row_results_truncated: true };
+    }
+
+    await this.ImportJob.updateOne({ _id: job._id }, update);
+  }
+}
+
+module.exports = new ImportWorker();
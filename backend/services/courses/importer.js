@@ -0,0 +1,324 @@
+const fs = require('fs');
+const csv = require('csv-parser');
+const CourseSchema = require('./models/Course');
+
+const IMPORT_MODES = ['insert', 'upsert', 'replace'];
+
+// Fields kept from the existing document when a row replaces it
+const REPLACE_PRESERVED_FIELDS = ['course_id', 'status', 'enrollments', 'created_by'];
+
+// Out-of-range values for these columns are coerced instead of rejecting the
+// row. Allowed values come from the Course schema itself.
+const COERCIONS = {
+  category: { rule: 'enum', values: CourseSchema.path('category').enumValues, fallback: 'Other' },
+  level: { rule: 'enum', values: CourseSchema.path('level').enumValues, fallback: 'Beginner' }
+};
+const RATING_MAX = CourseSchema.path('rating').options.max[0];
+
+const LIST_COLUMNS = ['tags', 'prerequisites', 'learning_outcomes'];
+
+// Columns the importer reads, in the order exports write them
+const IMPORT_COLUMNS = [
+  'course_id', 'title', 'description', 'category', 'instructor', 'duration',
+  'level', 'price', 'rating', 'tags', 'prerequisites', 'learning_outcomes', 'thumbnail_url'
+];
+
+// Count data rows without keeping them in memory
+async function countCsvRows(filePath) {
+  let count = 0;
+  for await (const _row of fs.createReadStream(filePath).pipe(csv())) {
+    count++;
+  }
+  return count;
+}
+
+// Stream a CSV file as arrays of at most batchSize rows
+async function* readCsvInBatches(filePath, batchSize) {
+  let batch = [];
+  for await (const row of fs.createReadStream(filePath).pipe(csv())) {
+    batch.push(row);
+    if (batch.length >= batchSize) {
+      yield batch;
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    yield batch;
+  }
+}
+
+// Text that spreadsheets would run as a formula. CSV output prefixes it with
+// an apostrophe, which the importer removes again so exports round-trip.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const unguardCsvValue = (value) => (
+  typeof value === 'string' && value.startsWith("'") && FORMULA_START.test(value.slice(1))
+    ? value.slice(1)
+    : value
+);
+
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+const hasValue = (value) => value !== undefined && value !== null && value.trim() !== '';
+
+// Map a CSV row to course fields. Empty cells are left out so that upserts
+// only touch the columns the spreadsheet actually fills in. Numbers are left
+// as strings for Mongoose to cast, so bad values surface as validation issues.
+// Returns { data, issues } where issues lists every value that was coerced.
+function buildCourseData(rawRow) {
+  const row = Object.fromEntries(Object.entries(rawRow).map(([column, value]) => [column, unguardCsvValue(value)]));
+  const data = {};
+  const issues = [];
+
+  ['course_id', 'title', 'description', 'instructor', 'duration', 'price', 'rating', 'thumbnail_url']
+    .forEach(column => {
+      if (hasValue(row[column])) data[column] = row[column].trim();
+    });
+
+  if (data.course_id) data.course_id = data.course_id.toUpperCase();
+
+  LIST_COLUMNS.forEach(column => {
+    if (hasValue(row[column])) data[column] = splitList(row[column]);
+  });
+  if (data.tags) data.tags = data.tags.map(tag => tag.toLowerCase());
+
+  Object.entries(COERCIONS).forEach(([column, { rule, values, fallback }]) => {
+    if (!hasValue(row[column])) return;
+
+    const value = row[column].trim();
+    if (values.includes(value)) {
+      data[column] = value;
+      return;
+    }
+
+    data[column] = fallback;
+    issues.push({
+      column,
+      value: row[column],
+      rule,
+      message: `"${value}" is not a valid ${column}, must be one of: ${values.join(', ')}`,
+      action: 'coerced',
+      coerced_to: fallback
+    });
+  });
+
+  const rating = parseFloat(data.rating);
+  if (rating > RATING_MAX) {
+    data.rating = RATING_MAX;
+    issues.push({
+      column: 'rating',
+      value: row.rating,
+      rule: 'max',
+      message: `Rating cannot exceed ${RATING_MAX}`,
+      action: 'coerced',
+      coerced_to: RATING_MAX
+    });
+  }
+
+  return { data, issues };
+}
+
+// Turn a Mongoose ValidationError into one issue per failing column
+const validationIssues = (error, row) => {
+  if (error.name !== 'ValidationError') {
+    return [{ column: null, value: null, rule: 'invalid', message: error.message, action: 'rejected' }];
+  }
+
+  return Object.values(error.errors).map(fieldError => {
+    const column = fieldError.path.split('.')[0];
+    return {
+      column,
+      value: row[column] !== undefined ? row[column] : fieldError.value,
+      rule: fieldError.name === 'CastError' ? 'type' : fieldError.kind,
+      message: fieldError.message,
+      action: 'rejected'
+    };
+  });
+};
+
+const rejectPlan = (plan, issue) => {
+  plan.action = 'rejected';
+  plan.issues.push({ column: null, value: null, action: 'rejected', ...issue });
+};
+
+// Decide what each row would do (create, update or reject) and validate the
+// resulting document against the Course schema. Nothing is written here.
+// startRow and seenIds let a file be planned batch by batch.
+async function planImport(Course, rows, { mode = 'insert', createdBy, startRow = 1, seenIds = new Set() } = {}) {
+  const courseIds = rows
+    .map(row => hasValue(row.course_id) ? row.course_id.toUpperCase().trim() : null)
+    .filter(Boolean);
+
+  const existingCourses = courseIds.length > 0
+    ? await Course.find({ course_id: { $in: courseIds } })
+    : [];
+  const existingById = new Map(existingCourses.map(course => [course.course_id, course]));
+
+  const plans = [];
+
+  for (let i = 0; i < rows.length; i++) {
+    const { data, issues } = buildCourseData(rows[i]);
+    const plan = {
+      row: startRow + i,
+      course_id: data.course_id,
+      title: data.title,
+      values: rows[i],
+      action: 'created',
+      doc: null,
+      issues
+    };
+    plans.push(plan);
+
+    if (data.course_id) {
+      if (seenIds.has(data.course_id)) {
+        rejectPlan(plan, {
+          column: 'course_id',
+          value: rows[i].course_id,
+          rule: 'unique',
+          message: `Duplicate course ID ${data.course_id} earlier in file`
+        });
+        continue;
+      }
+      seenIds.add(data.course_id);
+    }
+
+    const existing = data.course_id && existingById.get(data.course_id);
+
+    if (!existing) {
+      plan.doc = new Course({ ...data, created_by: createdBy });
+    } else if (mode === 'insert') {
+      rejectPlan(plan, {
+        column: 'course_id',
+        value: rows[i].course_id,
+        rule: 'unique',
+        message: `Course with ID ${data.course_id} already exists`
+      });
+      continue;
+    } else if (mode === 'upsert') {
+      plan.action = 'updated';
+      plan.doc = existing.set(data);
+    } else {
+      plan.action = 'updated';
+      const fresh = new Course(data).toObject();
+      delete fresh._id;
+      REPLACE_PRESERVED_FIELDS.forEach(field => {
+        fresh[field] = existing[field];
+      });
+      plan.doc = existing.overwrite(fresh);
+    }
+
+    try {
+      await plan.doc.validate();
+    } catch (error) {
+      plan.action = 'rejected';
+      plan.issues.push(...validationIssues(error, rows[i]));
+      plan.doc = null;
+    }
+  }
+
+  return plans;
+}
+
+// Write the valid plans of one batch: new courses through insertMany, changed
+// ones through bulkSave. Plans that fail are marked rejected in place.
+// Returns the saved course documents; the caller indexes them in one _bulk
+// request, so the per-document search sync hook is skipped.
+async function applyImportBatch(Course, plans) {
+  const creates = plans.filter(plan => plan.action === 'created');
+  const updates = plans.filter(plan => plan.action === 'updated');
+  const saved = [];
+
+  updates.forEach(plan => {
+    plan.doc.$locals.skipSearchSync = true;
+  });
+
+  if (creates.length > 0) {
+    try {
+      const inserted = await Course.insertMany(creates.map(plan => plan.doc), { ordered: false });
+      saved.push(...inserted);
+    } catch (error) {
+      if (!error.writeErrors) throw error;
+
+      error.writeErrors.forEach(writeError => {
+        const plan = creates[writeError.index];
+        rejectPlan(plan, writeError.code === 11000
+          ? { column: 'course_id', value: plan.values.course_id, rule: 'unique', message: `Course with ID ${plan.course_id} already exists` }
+          : { rule: 'save', message: `Error saving course "${plan.title}": ${writeError.errmsg}` });
+      });
+      saved.push(...(error.insertedDocs || []));
+    }
+  }
+
+  if (updates.length > 0) {
+    try {
+      await Course.bulkSave(updates.map(plan => plan.doc));
+      saved.push(...updates.map(plan => plan.doc));
+    } catch (error) {
+      // Fall back to one save per course so the failing rows can be reported
+      for (const plan of updates) {
+        try {
+          saved.push(await plan.doc.save());
+        } catch (saveError) {
+          rejectPlan(plan, { rule: 'save', message: `Error saving course "${plan.title}": ${saveError.message}` });
+        }
+      }
+    }
+  }
+
+  return saved;
+}
+
+// Public shape of a plan for API responses. Rejected rows keep their original
+// CSV values so they can be exported for correction.
+const summarizePlan = (plan) => ({
+  row: plan.row,
+  course_id: plan.doc ? plan.doc.course_id : plan.course_id,
+  title: plan.title,
+  action: plan.action,
+  issues: plan.issues,
+  ...(plan.action === 'rejected' && { values: plan.values })
+});
+
+// Quote a value for CSV output when it contains a delimiter, quote or newline.
+// Text that a spreadsheet would run as a formula gets a leading apostrophe;
+// numbers are written as they are.
+const escapeCsvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatCsvRow = (values) => values.map(escapeCsvValue).join(',') + '\n';
+
+// One course in the importer's column layout, lists comma-joined
+const formatCourseCsvRow = (course) => formatCsvRow(IMPORT_COLUMNS.map(column => (
+  Array.isArray(course[column]) ? course[column].join(',') : course[column]
+)));
+
+// Rebuild the rejected rows as CSV with an extra error column
+function buildFailedRowsCsv(columns, rowResults) {
+  const header = columns.filter(column => column !== 'error').concat('error');
+  const lines = rowResults
+    .filter(result => result.action === 'rejected' && result.values)
+    .map(result => formatCsvRow(header.map(column => (
+      column === 'error'
+        ? result.issues.map(issue => issue.column ? `${issue.column}: ${issue.message}` : issue.message).join('; ')
+        : result.values[column]
+    ))));
+
+  return formatCsvRow(header) + lines.join('');
+}
+
+module.exports = {
+  IMPORT_MODES,
+  IMPORT_COLUMNS,
+  countCsvRows,
+  readCsvInBatches,
+  buildCourseData,
+  planImport,
+  applyImportBatch,
+  summarizePlan,
+  formatCsvRow,
+  formatCourseCsvRow,
+  buildFailedRowsCsv
+};
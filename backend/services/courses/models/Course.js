@@ -129,6 +129,9 @@ courseSchema.index({ status: 1 });
 courseSchema.index({ created_at: -1 });
 courseSchema.index({ rating: -1 });
 courseSchema.index({ enrollments: -1 });
+courseSchema.index({ title: 1 });
+courseSchema.index({ duration: 1 });
+courseSchema.index({ price: 1 });
 
 // Virtual for formatted duration
 courseSchema.virtual('formatted_duration').get(function() {
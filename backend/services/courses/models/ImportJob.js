@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const importJobSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  mode: {
+    type: String,
+    enum: ['insert', 'upsert', 'replace'],
+    default: 'insert'
+  },
+  dry_run: {
+    type: Boolean,
+    default: false
+  },
+  file_name: {
+    type: String,
+    trim: true
+  },
+  file_path: {
+    type: String,
+    select: false
+  },
+  created_by: {
+    type: String,
+    default: 'admin'
+  },
+  total_rows: {
+    type: Number,
+    default: 0
+  },
+  processed_rows: {
+    type: Number,
+    default: 0
+  },
+  counts: {
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    rejected: { type: Number, default: 0 },
+    coerced: { type: Number, default: 0 },
+    indexed: { type: Number, default: 0 },
+    index_failed: { type: Number, default: 0 }
+  },
+  // Header of the uploaded CSV, used to rebuild the failed-rows file
+  columns: [String],
+  // Rejected or coerced rows for real imports; every row for dry runs (capped).
+  // Each entry: { row, course_id, title, action, issues, values }, where each
+  // issue is { column, value, rule, message, action: 'rejected' | 'coerced' }
+  row_results: {
+    type: Array,
+    default: []
+  },
+  row_results_truncated: {
+    type: Boolean,
+    default: false
+  },
+  error_message: {
+    type: String
+  },
+  started_at: {
+    type: Date
+  },
+  finished_at: {
+    type: Date
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.id;
+      delete ret.file_path;
+      return ret;
+    }
+  }
+});
+
+importJobSchema.index({ status: 1, created_at: 1 });
+importJobSchema.index({ created_at: -1 });
+
+// Virtual for completion percentage
+importJobSchema.virtual('progress').get(function() {
+  if (this.status === 'completed') return 100;
+  if (!this.total_rows) return 0;
+  return Math.floor((this.processed_rows / this.total_rows) * 100);
+});
+
+module.exports = importJobSchema;
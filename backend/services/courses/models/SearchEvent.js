@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// How long search events are kept before MongoDB's TTL monitor removes them
+const RETENTION_DAYS = parseInt(process.env.SEARCH_ANALYTICS_RETENTION_DAYS) || 90;
+
+const searchEventSchema = new mongoose.Schema({
+  // Lowercased, whitespace-collapsed query used for grouping in reports
+  query: {
+    type: String,
+    required: true
+  },
+  raw_query: {
+    type: String
+  },
+  // search: GET /api/courses/search, list: GET /api/courses?search=
+  source: {
+    type: String,
+    enum: ['search', 'list'],
+    required: true
+  },
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  page: {
+    type: Number
+  },
+  result_count: {
+    type: Number,
+    default: 0
+  },
+  latency_ms: {
+    type: Number
+  },
+  search_backend: {
+    type: String,
+    enum: ['elasticsearch', 'mongodb']
+  },
+  cached: {
+    type: Boolean,
+    default: false
+  },
+  // Results the learner opened from this page of results
+  clicks: [{
+    _id: false,
+    course_id: String,
+    position: Number,
+    clicked_at: { type: Date, default: Date.now }
+  }],
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+searchEventSchema.index({ created_at: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+searchEventSchema.index({ query: 1, created_at: -1 });
+searchEventSchema.index({ result_count: 1, created_at: -1 });
+
+module.exports = searchEventSchema;
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Runtime-editable search settings, one document per setting name
+const searchSettingSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  updated_by: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+module.exports = searchSettingSchema;
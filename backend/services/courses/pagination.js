@@ -0,0 +1,82 @@
+// Keyset (cursor) pagination helpers for course listings.
+// A sort spec is an array of [field, direction] pairs; _id is always appended
+// as the final tie-breaker so every position in the ordering is unique.
+
+class InvalidCursorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidCursorError';
+  }
+}
+
+const withIdTieBreaker = (sortSpec) => {
+  if (sortSpec.some(([field]) => field === '_id')) return sortSpec;
+  const lastDirection = sortSpec.length > 0 ? sortSpec[sortSpec.length - 1][1] : -1;
+  return [...sortSpec, ['_id', lastDirection]];
+};
+
+const toSortObject = (sortSpec) => Object.fromEntries(sortSpec);
+
+// Opaque cursor pointing just past `doc` in the given ordering
+function encodeCursor(doc, sortSpec) {
+  const payload = {
+    k: sortSpec,
+    v: sortSpec.map(([field]) => doc[field])
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+// Decode a cursor and cast its values back to the schema types
+function decodeCursor(cursor, sortSpec, schema) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new InvalidCursorError('Invalid cursor');
+  }
+
+  if (!payload || !Array.isArray(payload.k) || !Array.isArray(payload.v) ||
+      payload.v.length !== sortSpec.length ||
+      JSON.stringify(payload.k) !== JSON.stringify(sortSpec)) {
+    throw new InvalidCursorError('Cursor does not match the requested sort order');
+  }
+
+  // Values end up inside a query, so anything the schema cannot cast (or an
+  // object where a plain value belongs) makes the cursor invalid
+  return payload.v.map((value, index) => {
+    if (value === null) return value;
+    if (typeof value === 'object') throw new InvalidCursorError('Invalid cursor');
+
+    const schemaPath = schema.path(sortSpec[index][0]);
+    if (!schemaPath) return value;
+    try {
+      return schemaPath.cast(value);
+    } catch (error) {
+      throw new InvalidCursorError('Invalid cursor');
+    }
+  });
+}
+
+// Mongo condition selecting documents strictly after `values` in the ordering:
+// (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ... with > flipped for descending keys
+function buildKeysetCondition(sortSpec, values) {
+  const clauses = sortSpec.map(([field, direction], index) => {
+    const clause = {};
+    for (let i = 0; i < index; i++) {
+      clause[sortSpec[i][0]] = values[i];
+    }
+    clause[field] = { [direction === -1 ? '$lt' : '$gt']: values[index] };
+    return clause;
+  });
+
+  return { $or: clauses };
+}
+
+module.exports = {
+  InvalidCursorError,
+  withIdTieBreaker,
+  toSortObject,
+  encodeCursor,
+  decodeCursor,
+  buildKeysetCondition
+};
@@ -0,0 +1,249 @@
+// Builds sort specs and filters for course list and search queries from raw
+// query-string input. Anything invalid raises InvalidQueryError, which the
+// routes turn into a 400 response.
+
+const CourseSchema = require('./models/Course');
+
+// Sortable fields; each one is backed by an index in models/Course.js
+const SORTABLE_FIELDS = ['created_at', 'rating', 'enrollments', 'title', 'duration', 'price'];
+const COURSE_STATUSES = CourseSchema.path('status').enumValues;
+
+class InvalidQueryError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'InvalidQueryError';
+    this.details = details;
+  }
+}
+
+// Parse `sort` into an array of [field, direction] pairs.
+// Accepts the legacy single field form (`sort=rating&order=asc`) and a
+// comma-separated list with optional +/- prefixes (`sort=-rating,price`),
+// where unprefixed fields in a list sort ascending.
+function parseSort(sort = 'created_at', order = 'desc') {
+  const keys = String(sort).split(',').map(key => key.trim()).filter(Boolean);
+  const legacy = keys.length === 1 && !/^[+-]/.test(keys[0]);
+
+  const spec = keys.map(key => {
+    if (legacy) return [key, order === 'desc' ? -1 : 1];
+    if (key.startsWith('-')) return [key.slice(1), -1];
+    if (key.startsWith('+')) return [key.slice(1), 1];
+    return [key, 1];
+  });
+
+  const invalid = spec.map(([field]) => field).filter(field => !SORTABLE_FIELDS.includes(field));
+  if (spec.length === 0 || invalid.length > 0) {
+    throw new InvalidQueryError(
+      `Invalid sort field${invalid.length === 1 ? '' : 's'}: ${invalid.join(', ') || '(empty)'}. ` +
+      `Allowed fields: ${SORTABLE_FIELDS.join(', ')}`,
+      { allowed_sort_fields: SORTABLE_FIELDS }
+    );
+  }
+
+  const fields = spec.map(([field]) => field);
+  if (new Set(fields).size !== fields.length) {
+    throw new InvalidQueryError('Each sort field may only appear once', { allowed_sort_fields: SORTABLE_FIELDS });
+  }
+
+  return spec;
+}
+
+const MAX_TEXT_LENGTH = 100;
+
+// Escape regex metacharacters so user input only ever matches literally
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Read a free-text parameter as one trimmed string of bounded length
+const parseText = (value, name) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value !== 'string') {
+    throw new InvalidQueryError(`${name} must be a single value`);
+  }
+  const text = value.trim();
+  if (text.length > MAX_TEXT_LENGTH) {
+    throw new InvalidQueryError(`${name} cannot exceed ${MAX_TEXT_LENGTH} characters`);
+  }
+  return text || undefined;
+};
+
+// Case-insensitive "contains" matcher for user input, safe against regex
+// injection and catastrophic backtracking
+const buildKeywordRegex = (value, name = 'value') => {
+  const text = parseText(value, name);
+  return text === undefined ? undefined : new RegExp(escapeRegex(text), 'i');
+};
+
+// Case-insensitive "starts with" matcher, used for autocomplete fallbacks
+const buildPrefixRegex = (value, name = 'value') => {
+  const text = parseText(value, name);
+  return text === undefined ? undefined : new RegExp(`^${escapeRegex(text)}`, 'i');
+};
+
+// Split `a,b` and repeated `key=a&key=b` parameters into one list
+const parseList = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const items = [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+  return items.length > 0 ? items : undefined;
+};
+
+const parseNumber = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new InvalidQueryError(`${name} must be a number`);
+  }
+  return number;
+};
+
+const parseDate = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new InvalidQueryError(`${name} must be a valid date`);
+  }
+  return date.toISOString();
+};
+
+// Only a known status string; anything else (e.g. `status[$ne]=x`, which
+// arrives as an object) would be passed to MongoDB as an operator
+const parseStatus = (value) => {
+  if (value === undefined || value === '') return undefined;
+  if (typeof value !== 'string' || !COURSE_STATUSES.includes(value)) {
+    throw new InvalidQueryError(`status must be one of: ${COURSE_STATUSES.join(', ')}`);
+  }
+  return value;
+};
+
+const parseBoolean = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  if (value === 'true' || value === true) return true;
+  if (value === 'false' || value === false) return false;
+  throw new InvalidQueryError(`${name} must be true or false`);
+};
+
+// Normalize list/search filter parameters. The result is plain JSON so the
+// same object drives the MongoDB query, the Elasticsearch query and cache keys.
+function parseCourseFilters(params = {}, { defaultStatus } = {}) {
+  const filters = {
+    status: parseStatus(params.status) || defaultStatus,
+    categories: parseList(params.category),
+    levels: parseList(params.level),
+    instructor: parseText(params.instructor, 'instructor'),
+    tags: parseList(params.tags) && parseList(params.tags).map(tag => tag.toLowerCase()),
+    tags_match: params.tags_match || 'any',
+    price_min: parseNumber(params.price_min, 'price_min'),
+    price_max: parseNumber(params.price_max, 'price_max'),
+    free: parseBoolean(params.free, 'free'),
+    duration_min: parseNumber(params.duration_min, 'duration_min'),
+    duration_max: parseNumber(params.duration_max, 'duration_max'),
+    rating_min: parseNumber(params.rating_min, 'rating_min'),
+    created_after: parseDate(params.created_after, 'created_after'),
+    created_before: parseDate(params.created_before, 'created_before'),
+    search: parseText(params.search, 'search')
+  };
+
+  if (!['any', 'all'].includes(filters.tags_match)) {
+    throw new InvalidQueryError('tags_match must be one of: any, all');
+  }
+
+  [['price_min', 'price_max'], ['duration_min', 'duration_max'], ['created_after', 'created_before']]
+    .forEach(([min, max]) => {
+      if (filters[min] !== undefined && filters[max] !== undefined && filters[min] > filters[max]) {
+        throw new InvalidQueryError(`${min} cannot be greater than ${max}`);
+      }
+    });
+
+  // free=true pins the price to 0, and paid courses cost more than 0
+  const priceRange = filters.price_min !== undefined || filters.price_max !== undefined;
+  if (filters.free === true && priceRange) {
+    throw new InvalidQueryError('free=true cannot be combined with price_min or price_max');
+  }
+  if (filters.free === false && filters.price_max !== undefined && filters.price_max <= 0) {
+    throw new InvalidQueryError('free=false needs price_max greater than 0');
+  }
+
+  // Drop unset keys so equivalent requests share a cache key
+  Object.keys(filters).forEach(key => filters[key] === undefined && delete filters[key]);
+  if (!filters.tags) delete filters.tags_match;
+
+  return filters;
+}
+
+const buildRange = (min, max, { minOp = '$gte', maxOp = '$lte' } = {}) => {
+  const range = {};
+  if (min !== undefined) range[minOp] = min;
+  if (max !== undefined) range[maxOp] = max;
+  return Object.keys(range).length > 0 ? range : undefined;
+};
+
+const oneOrIn = (values) => values.length === 1 ? values[0] : { $in: values };
+
+// MongoDB filter for normalized course filters
+function buildMongoQuery(filters) {
+  const query = {};
+
+  if (filters.status) query.status = filters.status;
+  if (filters.categories) query.category = oneOrIn(filters.categories);
+  if (filters.levels) query.level = oneOrIn(filters.levels);
+  if (filters.instructor) query.instructor = buildKeywordRegex(filters.instructor, 'instructor');
+
+  if (filters.tags) {
+    query.tags = filters.tags_match === 'all' ? { $all: filters.tags } : { $in: filters.tags };
+  }
+
+  const price = buildRange(filters.price_min, filters.price_max);
+  if (filters.free === true) {
+    query.price = 0;
+  } else if (filters.free === false) {
+    query.price = { ...price, $gt: 0 };
+  } else if (price) {
+    query.price = price;
+  }
+
+  const duration = buildRange(filters.duration_min, filters.duration_max);
+  if (duration) query.duration = duration;
+
+  if (filters.rating_min !== undefined) query.rating = { $gte: filters.rating_min };
+
+  const created = buildRange(
+    filters.created_after && new Date(filters.created_after),
+    filters.created_before && new Date(filters.created_before)
+  );
+  if (created) query.created_at = created;
+
+  // Keyword search uses the text index on title, description and instructor
+  if (filters.search) query.$text = { $search: filters.search };
+
+  return query;
+}
+
+// Text-score projection and sort used when a keyword search is present
+const TEXT_SCORE = { score: { $meta: 'textScore' } };
+
+// MongoDB sort object. Searches rank by relevance first unless the client
+// asked for an explicit sort.
+const buildMongoSort = (sortSpec, { relevance = false } = {}) => {
+  const sort = Object.fromEntries(sortSpec);
+  return relevance ? { ...TEXT_SCORE, ...sort } : sort;
+};
+
+// Canonical string form of a sort spec, used in cache keys
+const formatSort = (spec) => spec.map(([field, direction]) => `${direction === -1 ? '-' : ''}${field}`).join(',');
+
+module.exports = {
+  SORTABLE_FIELDS,
+  InvalidQueryError,
+  parseSort,
+  formatSort,
+  TEXT_SCORE,
+  escapeRegex,
+  parseText,
+  buildKeywordRegex,
+  buildPrefixRegex,
+  parseCourseFilters,
+  buildMongoQuery,
+  buildMongoSort
+};
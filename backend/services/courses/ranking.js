@@ -0,0 +1,94 @@
+const ReloadingCache = require('../../config/reloadingCache');
+const { InvalidQueryError } = require('./queryBuilder');
+
+const SETTING_ID = 'ranking';
+
+// Search scores are the text relevance multiplied by
+//   1 + rating_weight * log1p(rating)
+//     + enrollments_weight * log1p(enrollments)
+//     + recency_weight * gauss(created_at, recency_scale_days, recency_decay)
+// so all-zero weights leave plain text relevance.
+const DEFAULT_RANKING = {
+  rating_weight: 0.3,
+  enrollments_weight: 0.2,
+  recency_weight: 0.3,
+  recency_scale_days: 180,
+  recency_decay: 0.5
+};
+
+// [min, max] for each setting; recency_decay must stay strictly between 0 and 1
+const RANKING_LIMITS = {
+  rating_weight: [0, 10],
+  enrollments_weight: [0, 10],
+  recency_weight: [0, 10],
+  recency_scale_days: [1, 3650],
+  recency_decay: [0.01, 0.99]
+};
+
+// Validate a complete ranking config; omitted keys take their default
+function parseRanking(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new InvalidQueryError('Ranking config must be an object');
+  }
+
+  const unknown = Object.keys(input).filter(key => !(key in DEFAULT_RANKING));
+  if (unknown.length > 0) {
+    throw new InvalidQueryError(`Unknown ranking setting${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`, {
+      allowed_settings: Object.keys(DEFAULT_RANKING)
+    });
+  }
+
+  return Object.fromEntries(Object.entries(DEFAULT_RANKING).map(([key, fallback]) => {
+    if (input[key] === undefined) return [key, fallback];
+
+    const value = input[key];
+    const [min, max] = RANKING_LIMITS[key];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      throw new InvalidQueryError(`${key} must be a number between ${min} and ${max}`);
+    }
+    return [key, value];
+  }));
+}
+
+// Holds the active ranking config, persisted as a SearchSetting document
+class RankingConfig extends ReloadingCache {
+  constructor() {
+    super('ranking config');
+    this.SearchSetting = null;
+    this.current = { ...DEFAULT_RANKING };
+  }
+
+  async initialize({ SearchSetting }) {
+    this.SearchSetting = SearchSetting;
+    await this.start();
+  }
+
+  async load() {
+    const setting = await this.SearchSetting.findById(SETTING_ID).lean();
+    this.current = setting ? parseRanking(setting.value) : { ...DEFAULT_RANKING };
+  }
+
+  async get() {
+    await this.ensureFresh();
+    return this.current;
+  }
+
+  async update(input, updatedBy) {
+    const ranking = parseRanking(input);
+    await this.SearchSetting.updateOne(
+      { _id: SETTING_ID },
+      { $set: { value: ranking, updated_by: updatedBy } },
+      { upsert: true }
+    );
+    this.current = ranking;
+    this.markFresh();
+    return ranking;
+  }
+}
+
+module.exports = {
+  DEFAULT_RANKING,
+  RANKING_LIMITS,
+  parseRanking,
+  RankingConfig: new RankingConfig()
+};
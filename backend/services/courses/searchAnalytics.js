@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const { InvalidQueryError } = require('./queryBuilder');
+
+const DEFAULT_RANGE_DAYS = 7;
+const DEFAULT_REPORT_LIMIT = 20;
+const MAX_REPORT_LIMIT = 100;
+// Clicks kept per search event
+const MAX_CLICKS = 20;
+
+const normalizeQuery = (query) => query.trim().toLowerCase().replace(/\s+/g, ' ');
+
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 10000 : 0);
+
+// Records course searches and result clicks, and reports on them. Logging
+// never blocks or fails a search: writes happen in the background.
+class SearchAnalytics {
+  constructor() {
+    this.SearchEvent = null;
+  }
+
+  initialize({ SearchEvent }) {
+    this.SearchEvent = SearchEvent;
+  }
+
+  // Store one served page of search results. Returns the event id clients
+  // send back with clicks, or null when analytics is unavailable.
+  logSearch({ query, source, filters = {}, page, resultCount, latencyMs, searchBackend, cached = false }) {
+    if (!this.SearchEvent || !query) return null;
+
+    const _id = new mongoose.Types.ObjectId();
+    this.SearchEvent.create({
+      _id,
+      query: normalizeQuery(query),
+      raw_query: query,
+      source,
+      filters,
+      page,
+      result_count: resultCount,
+      latency_ms: latencyMs,
+      search_backend: searchBackend,
+      cached
+    }).catch(error => console.error('Error logging search:', error));
+
+    return _id.toString();
+  }
+
+  // Returns false when the search event is unknown (or already expired)
+  async recordClick(searchId, courseId, position) {
+    const result = await this.SearchEvent.updateOne({ _id: searchId }, {
+      $push: {
+        clicks: {
+          $each: [{ course_id: courseId, position, clicked_at: new Date() }],
+          $slice: -MAX_CLICKS
+        }
+      }
+    });
+    return result.matchedCount > 0;
+  }
+
+  // Parse `from`, `to` and `limit` report parameters; the range defaults to
+  // the last week
+  parseReportOptions({ from, to, limit } = {}) {
+    const parse = (value, name) => {
+      if (value === undefined || value === '') return undefined;
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        throw new InvalidQueryError(`${name} must be a valid date`);
+      }
+      return date;
+    };
+
+    const end = parse(to, 'to') || new Date();
+    const start = parse(from, 'from') || new Date(end.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+    if (start > end) {
+      throw new InvalidQueryError('from cannot be later than to');
+    }
+
+    const size = limit === undefined ? DEFAULT_REPORT_LIMIT : parseInt(limit);
+    if (!Number.isInteger(size) || size < 1 || size > MAX_REPORT_LIMIT) {
+      throw new InvalidQueryError(`limit must be between 1 and ${MAX_REPORT_LIMIT}`);
+    }
+
+    return { from: start, to: end, limit: size };
+  }
+
+  rangeMatch({ from, to }) {
+    return { $match: { created_at: { $gte: from, $lte: to } } };
+  }
+
+  // Most frequent queries with their average result count, latency and CTR
+  async topQueries(options) {
+    const rows = await this.SearchEvent.aggregate([
+      this.rangeMatch(options),
+      {
+        $group: {
+          _id: '$query',
+          searches: { $sum: 1 },
+          clicked_searches: { $sum: { $cond: [{ $gt: [{ $size: '$clicks' }, 0] }, 1, 0] } },
+          zero_result_searches: { $sum: { $cond: [{ $eq: ['$result_count', 0] }, 1, 0] } },
+          avg_results: { $avg: '$result_count' },
+          avg_latency_ms: { $avg: '$latency_ms' },
+          last_searched_at: { $max: '$created_at' }
+        }
+      },
+      { $sort: { searches: -1, _id: 1 } },
+      { $limit: options.limit }
+    ]);
+
+    return rows.map(({ _id, ...row }) => ({
+      query: _id,
+      ...row,
+      avg_results: Math.round(row.avg_results * 100) / 100,
+      avg_latency_ms: Math.round(row.avg_latency_ms || 0),
+      ctr: ratio(row.clicked_searches, row.searches)
+    }));
+  }
+
+  // Queries that found nothing, most frequent first
+  async zeroResultQueries(options) {
+    const rows = await this.SearchEvent.aggregate([
+      this.rangeMatch(options),
+      { $match: { result_count: 0 } },
+      {
+        $group: {
+          _id: '$query',
+          searches: { $sum: 1 },
+          first_searched_at: { $min: '$created_at' },
+          last_searched_at: { $max: '$created_at' }
+        }
+      },
+      { $sort: { searches: -1, _id: 1 } },
+      { $limit: options.limit }
+    ]);
+
+    return rows.map(({ _id, ...row }) => ({ query: _id, ...row }));
+  }
+
+  // Share of searches that led to at least one click, overall and per day
+  async clickThroughRate(options) {
+    const [result] = await this.SearchEvent.aggregate([
+      this.rangeMatch(options),
+      { $addFields: { clicked: { $cond: [{ $gt: [{ $size: '$clicks' }, 0] }, 1, 0] } } },
+      {
+        $facet: {
+          overall: [
+            {
+              $group: {
+                _id: null,
+                searches: { $sum: 1 },
+                clicked_searches: { $sum: '$clicked' },
+                clicks: { $sum: { $size: '$clicks' } }
+              }
+            }
+          ],
+          daily: [
+            {
+              $group: {
+                _id: { $dateToString: { format: '%Y-%m-%d', date: '$created_at' } },
+                searches: { $sum: 1 },
+                clicked_searches: { $sum: '$clicked' }
+              }
+            },
+            { $sort: { _id: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    const overall = result.overall[0] || { searches: 0, clicked_searches: 0, clicks: 0 };
+
+    return {
+      searches: overall.searches,
+      clicked_searches: overall.clicked_searches,
+      clicks: overall.clicks,
+      ctr: ratio(overall.clicked_searches, overall.searches),
+      daily: result.daily.map(({ _id, ...day }) => ({
+        date: _id,
+        ...day,
+        ctr: ratio(day.clicked_searches, day.searches)
+      }))
+    };
+  }
+}
+
+module.exports = new SearchAnalytics();
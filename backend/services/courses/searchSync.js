@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+const ElasticsearchClient = require('../../config/elasticsearch');
+
+const REINDEX_BATCH_SIZE = parseInt(process.env.ES_SYNC_BATCH_SIZE) || 500;
+// Failures kept in a reindex report; the counts always cover every course
+const MAX_REPORTED_ERRORS = 100;
+
+// Keeps the Elasticsearch courses index in step with MongoDB. Document writes
+// are mirrored by schema hooks. Bulk writers (CSV imports) sync whole batches
+// through ElasticsearchClient.bulkSyncCourses instead, and mark their documents
+// with `doc.$locals.skipSearchSync` so bulkSave doesn't index them one by one.
+
+// Index a published course, drop anything else from the index
+async function syncCourse(course) {
+  if (!ElasticsearchClient.isHealthy()) return;
+
+  if (course.status === 'published') {
+    await ElasticsearchClient.indexCourse(course);
+  } else {
+    await ElasticsearchClient.deleteCourse(course._id);
+  }
+}
+
+async function removeCourse(course) {
+  if (!ElasticsearchClient.isHealthy()) return;
+  await ElasticsearchClient.deleteCourse(course._id);
+}
+
+// Register the sync hooks on the course schema; must run before the model is
+// compiled. Index errors are logged by the client and never fail the write.
+function registerSearchSync(schema) {
+  if (schema.searchSyncRegistered) return;
+  schema.searchSyncRegistered = true;
+
+  schema.post('save', async function(doc) {
+    if (doc.$locals.skipSearchSync) return;
+    await syncCourse(doc);
+  });
+
+  schema.post('findOneAndUpdate', async function(doc) {
+    if (!doc) return;
+    // Unless the query returns the updated document, the hook receives the old one
+    const options = this.getOptions();
+    const returnsUpdated = options.new || options.returnDocument === 'after';
+    const current = returnsUpdated ? doc : await this.model.findById(doc._id);
+    if (current) {
+      await syncCourse(current);
+    } else {
+      await removeCourse(doc);
+    }
+  });
+
+  schema.post('findOneAndDelete', async function(doc) {
+    if (doc) await removeCourse(doc);
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function(doc) {
+    await removeCourse(doc);
+  });
+}
+
+const addFailures = (report, result) => {
+  report.failed += result.failed;
+  report.errors.push(...result.errors.slice(0, MAX_REPORTED_ERRORS - report.errors.length));
+};
+
+// Delete every indexed document whose course is gone or not published
+async function pruneIndex(Course, { index, report }) {
+  for await (const ids of ElasticsearchClient.scanCourseIds(index ? { index } : {})) {
+    const published = await Course.find(
+      { _id: { $in: ids.filter(id => mongoose.isValidObjectId(id)) }, status: 'published' },
+      { _id: 1 }
+    ).lean();
+    const keep = new Set(published.map(course => course._id.toString()));
+    const stale = ids.filter(id => !keep.has(id));
+
+    if (stale.length > 0) {
+      const result = await ElasticsearchClient.bulkDeleteCourses(stale, index ? { index } : {});
+      report.pruned += result.removed;
+      addFailures(report, result);
+    }
+  }
+}
+
+let reindexRunning = false;
+
+const isReindexRunning = () => reindexRunning;
+
+// Page through every course by _id and sync each page with one _bulk request.
+// `index` targets a specific concrete index (used when filling a new mapping
+// version); by default writes go through the alias. `since` limits the pass
+// to courses updated at or after that date; otherwise the pass ends by
+// removing indexed documents that are no longer published courses, which
+// covers deletes the sync hooks missed while Elasticsearch was down.
+// Returns { total, indexed, removed, pruned, failed, errors, took_ms }.
+async function reindexCourses(Course, { index, since, batchSize = REINDEX_BATCH_SIZE, onProgress } = {}) {
+  if (reindexRunning) {
+    throw new Error('A reindex is already running');
+  }
+  reindexRunning = true;
+
+  const startedAt = Date.now();
+  const report = { total: 0, indexed: 0, removed: 0, pruned: 0, failed: 0, errors: [] };
+
+  try {
+    let lastId = null;
+    const filter = since ? { updated_at: { $gte: since } } : {};
+
+    while (true) {
+      const courses = await Course.find(lastId ? { ...filter, _id: { $gt: lastId } } : filter)
+        .sort({ _id: 1 })
+        .limit(batchSize);
+      if (courses.length === 0) break;
+
+      const result = await ElasticsearchClient.bulkSyncCourses(courses, index ? { index } : {});
+      report.total += courses.length;
+      report.indexed += result.indexed;
+      report.removed += result.removed;
+      addFailures(report, result);
+
+      lastId = courses[courses.length - 1]._id;
+      if (onProgress) onProgress(report);
+    }
+
+    if (!since) {
+      await pruneIndex(Course, { index, report });
+    }
+
+    return { ...report, took_ms: Date.now() - startedAt };
+  } finally {
+    reindexRunning = false;
+  }
+}
+
+// Startup and CLI entry point: finish a pending mapping rollover by filling
+// the new index and swapping the alias, otherwise reindex in place
+async function reindexAll(Course, options = {}) {
+  if (ElasticsearchClient.needsRollover()) {
+    let report;
+    await ElasticsearchClient.rolloverCoursesIndex(async (index) => {
+      // Writes reach the new index during the fill too, but the fill may
+      // overwrite one with a copy it read earlier; a second pass over
+      // everything updated since the fill started puts those right
+      const fillStartedAt = new Date();
+      report = await reindexCourses(Course, { ...options, index });
+      const catchUp = await reindexCourses(Course, { index, since: fillStartedAt, batchSize: options.batchSize });
+      report.failed += catchUp.failed;
+      report.errors.push(...catchUp.errors.slice(0, MAX_REPORTED_ERRORS - report.errors.length));
+    });
+    return { ...report, rollover: true };
+  }
+
+  return { ...(await reindexCourses(Course, options)), rollover: false };
+}
+
+// The latest reindex started through startReindex, kept in memory: it is
+// only meaningful to the instance running it
+let backgroundReindex = null;
+
+const getReindexStatus = () => backgroundReindex;
+
+// Run reindexAll in the background and return its status object, which
+// tracks progress and ends up with the report or the error. Returns null
+// when a reindex is already running.
+function startReindex(Course, { onFinished } = {}) {
+  if (reindexRunning || (backgroundReindex && backgroundReindex.status === 'running')) {
+    return null;
+  }
+
+  const state = {
+    status: 'running',
+    started_at: new Date(),
+    finished_at: null,
+    progress: { total: 0 },
+    report: null,
+    error_message: null
+  };
+  backgroundReindex = state;
+
+  reindexAll(Course, { onProgress: ({ total }) => { state.progress.total = total; } })
+    .then((report) => {
+      Object.assign(state, { status: 'completed', report, finished_at: new Date() });
+    }, (error) => {
+      console.error('Background reindex failed:', error);
+      Object.assign(state, { status: 'failed', error_message: error.message, finished_at: new Date() });
+    })
+    .then(() => onFinished && onFinished(state))
+    .catch(error => console.error('Error after background reindex:', error));
+
+  return state;
+}
+
+// Startup sync. The full load only runs for a pending rollover or an empty
+// index; otherwise only courses updated since the newest indexed one are
+// resynced. Courses deleted while Elasticsearch was down stay indexed until
+// the next full reindex.
+async function syncOnStartup(Course) {
+  if (!ElasticsearchClient.needsRollover()) {
+    const { count, lastUpdatedAt } = await ElasticsearchClient.getIndexState();
+    if (count > 0 && lastUpdatedAt) {
+      return { ...(await reindexCourses(Course, { since: lastUpdatedAt })), rollover: false, full: false };
+    }
+  }
+
+  return { ...(await reindexAll(Course)), full: true };
+}
+
+module.exports = {
+  syncCourse,
+  registerSearchSync,
+  isReindexRunning,
+  reindexCourses,
+  reindexAll,
+  startReindex,
+  getReindexStatus,
+  syncOnStartup
+};
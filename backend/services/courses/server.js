@@ -1,20 +1,63 @@
+// Load .env before any module reads its settings
+require('dotenv').config();
+
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const multer = require('multer');
-const csv = require('csv-parser');
 const fs = require('fs');
 const path = require('path');
+const { once } = require('events');
+const crypto = require('crypto');
 const rateLimit = require('express-rate-limit');
+const mongoose = require('mongoose');
 const DatabaseConnection = require('../../config/database');
 const RedisClient = require('../../config/redis');
 const ElasticsearchClient = require('../../config/elasticsearch');
+const { authenticateToken, optionalPermissions } = require('../../config/authClient');
+const { requirePermission } = require('../../config/permissions');
 const CourseSchema = require('./models/Course');
-
-require('dotenv').config();
+const ImportJobSchema = require('./models/ImportJob');
+const SearchEventSchema = require('./models/SearchEvent');
+const SearchSettingSchema = require('./models/SearchSetting');
+const { IMPORT_MODES, IMPORT_COLUMNS, buildFailedRowsCsv, formatCsvRow, formatCourseCsvRow } = require('./importer');
+const ImportWorker = require('./importWorker');
+const { registerSearchSync, startReindex, getReindexStatus, syncOnStartup } = require('./searchSync');
+const SearchAnalytics = require('./searchAnalytics');
+const { DEFAULT_RANKING, RANKING_LIMITS, RankingConfig } = require('./ranking');
+const {
+  InvalidCursorError,
+  withIdTieBreaker,
+  toSortObject,
+  encodeCursor,
+  decodeCursor,
+  buildKeysetCondition
+} = require('./pagination');
+const {
+  InvalidQueryError,
+  parseSort,
+  formatSort,
+  TEXT_SCORE,
+  parseText,
+  buildPrefixRegex,
+  parseCourseFilters,
+  buildMongoQuery,
+  buildMongoSort
+} = require('./queryBuilder');
 
 const app = express();
 const PORT = process.env.COURSE_SERVICE_PORT || 3002;
+const SEARCH_HIGHLIGHT_PRE_TAG = process.env.SEARCH_HIGHLIGHT_PRE_TAG || '<mark>';
+const SEARCH_HIGHLIGHT_POST_TAG = process.env.SEARCH_HIGHLIGHT_POST_TAG || '</mark>';
+const SEARCH_SUGGEST_MAX_HITS = parseInt(process.env.SEARCH_SUGGEST_MAX_HITS) || 3;
+const SEARCH_FALLBACK_CACHE_TTL = parseInt(process.env.SEARCH_FALLBACK_CACHE_TTL) || 15; // seconds
+const RELATED_DEFAULT_SIZE = 5;
+const RELATED_MAX_SIZE = 20;
+// Largest page the course listing serves, in offset and cursor mode
+const MAX_PAGE_SIZE = 100;
+const SUGGEST_CACHE_TTL = parseInt(process.env.SUGGEST_CACHE_TTL) || 30; // seconds
+const SUGGEST_DEFAULT_SIZE = 5;
+const SUGGEST_MAX_SIZE = 10;
 
 // Security middlewares
 app.use(helmet());
@@ -67,13 +110,23 @@ const upload = multer({
 
 // Database and external services
 let Course;
+let ImportJob;
+let SearchEvent;
+let SearchSetting;
 
 // Initialize connections
 async function initializeServices() {
   try {
     // MongoDB
     const connection = await DatabaseConnection.connect('course_service', process.env.MONGODB_URI);
+    // Course writes are mirrored to Elasticsearch by schema hooks
+    registerSearchSync(CourseSchema);
     Course = connection.model('Course', CourseSchema);
+    ImportJob = connection.model('ImportJob', ImportJobSchema);
+    SearchEvent = connection.model('SearchEvent', SearchEventSchema);
+    SearchAnalytics.initialize({ SearchEvent });
+    SearchSetting = connection.model('SearchSetting', SearchSettingSchema);
+    await RankingConfig.initialize({ SearchSetting });
     console.log('✅ Course Service: Database models initialized');
 
     // Redis
@@ -86,13 +139,30 @@ async function initializeServices() {
 
     // Sync existing courses to Elasticsearch
     await syncCoursesToElasticsearch();
+
+    // Background CSV imports
+    await ImportWorker.initialize({
+      Course,
+      ImportJob,
+      onCoursesSaved: async (courses) => {
+        await Promise.all([
+          invalidateCourseCollectionCache(),
+          ...courses.map(course => RedisClient.del(singleCourseCacheKey(course._id.toString()))),
+          ...courses.map(course => RedisClient.del(singleCourseCacheKey(course.course_id))),
+          // One sweep for the related lists of the whole batch
+          RedisClient.delPattern(getCacheKey('single', '*', 'related', '*'))
+        ]);
+      }
+    });
+    console.log('✅ Course Service: Import worker ready');
   } catch (error) {
     console.error('❌ Course Service: Initialization failed:', error);
     // Don't exit - some services might still work
   }
 }
 
-// Sync courses to Elasticsearch
+// Bring Elasticsearch up to date with everything written while it was away,
+// and finish any pending mapping rollover
 async function syncCoursesToElasticsearch() {
   try {
     if (!ElasticsearchClient.isHealthy()) {
@@ -100,14 +170,8 @@ async function syncCoursesToElasticsearch() {
       return;
     }
 
-    const courses = await Course.find({ status: 'published' }).limit(1000);
-    console.log(`Syncing ${courses.length} courses to Elasticsearch...`);
-
-    for (const course of courses) {
-      await ElasticsearchClient.indexCourse(course);
-    }
-
-    console.log('✅ Courses synced to Elasticsearch successfully');
+    const report = await syncOnStartup(Course);
+    console.log(`✅ Synced ${report.total} ${report.full ? '' : 'recently updated '}courses to Elasticsearch (${report.indexed} indexed, ${report.removed} removed, ${report.failed} failed)`);
   } catch (error) {
     console.error('❌ Error syncing courses to Elasticsearch:', error);
   }
@@ -118,30 +182,108 @@ const getCacheKey = (prefix, ...params) => {
   return `courses:${prefix}:${params.join(':')}`;
 };
 
-// Authentication middleware (basic version for demo)
-const authenticateToken = async (req, res, next) => {
-  try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+// Short stable digest of normalized filters for use in cache keys
+const hashFilters = (filters) => {
+  return crypto.createHash('sha1').update(JSON.stringify(filters)).digest('hex');
+};
 
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access denied. No token provided.'
-      });
-    }
+const sendInvalidQuery = (res, error) => {
+  return res.status(400).json({
+    success: false,
+    message: error.message,
+    ...error.details
+  });
+};
 
-    // In production, verify with auth service
-    // For demo purposes, we'll accept any token
-    req.user = { id: 'demo-user', role: 'admin' };
-    next();
-  } catch (error) {
-    console.error('Auth middleware error:', error);
-    return res.status(500).json({
+// Log a served page of keyword search results for analytics. Returns the
+// search_id clients send to POST /api/courses/search/click.
+const trackSearch = (result, { query, source, filters, page, startedAt, cached }) => {
+  return SearchAnalytics.logSearch({
+    query,
+    source,
+    filters,
+    page,
+    resultCount: result.pagination.total_items !== undefined ? result.pagination.total_items : result.courses.length,
+    latencyMs: Date.now() - startedAt,
+    searchBackend: result.search_backend || 'mongodb',
+    cached
+  });
+};
+
+// Fields clients may not set through create/update payloads
+const PROTECTED_FIELDS = ['_id', 'created_by', 'created_at', 'updated_at', '__v'];
+
+// Allowed status changes, keyed by target status: draft → published → archived
+const STATUS_TRANSITIONS = {
+  published: ['draft'],
+  archived: ['published']
+};
+
+// Match either a MongoDB ObjectId or a course_id
+const buildCourseLookup = (id) => {
+  return mongoose.isValidObjectId(id)
+    ? { $or: [{ _id: id }, { course_id: id.toUpperCase() }] }
+    : { course_id: id.toUpperCase() };
+};
+
+// Cache key for a single course. Lookups are case-insensitive, so the id is
+// normalized the way it is stored: ObjectIds in lowercase hex, course_ids in
+// uppercase. That keeps one key per id for invalidateCourseCache to evict.
+const singleCourseCacheKey = (id) => getCacheKey(
+  'single',
+  /^[0-9a-f]{24}$/i.test(id) ? id.toLowerCase() : id.toUpperCase()
+);
+
+const sanitizeCourseInput = (body = {}) => {
+  const data = { ...body };
+  PROTECTED_FIELDS.forEach(field => delete data[field]);
+  return data;
+};
+
+// Evict every cached listing, search result, suggestion and aggregate
+async function invalidateCourseCollectionCache() {
+  await Promise.all([
+    RedisClient.delPattern(getCacheKey('list', '*')),
+    RedisClient.delPattern(getCacheKey('search', '*')),
+    RedisClient.delPattern(getCacheKey('suggest', '*')),
+    RedisClient.del(getCacheKey('stats', 'overview'))
+  ]);
+}
+
+// A course can appear in the related lists of any other course, so every
+// write sweeps them all, the same as an import does
+async function invalidateCourseCache(course) {
+  await Promise.all([
+    RedisClient.del(singleCourseCacheKey(course._id.toString())),
+    RedisClient.del(singleCourseCacheKey(course.course_id)),
+    RedisClient.delPattern(getCacheKey('single', '*', 'related', '*')),
+    invalidateCourseCollectionCache()
+  ]);
+}
+
+const sendCourseWriteError = (res, error, action) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
       success: false,
-      message: 'Internal server error during authentication.'
+      message: 'Validation error',
+      errors: Object.keys(error.errors).map(key => ({
+        field: key,
+        message: error.errors[key].message
+      }))
     });
   }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'Course with this ID already exists'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: `Internal server error while ${action} course`
+  });
 };
 
 // Routes
@@ -162,26 +304,49 @@ app.get('/health', (req, res) => {
 });
 
 // Get all courses with pagination and filtering
+// Offset mode uses page/limit. Passing `cursor` (empty for the first page)
+// switches to keyset pagination; follow `pagination.next_cursor` from there.
 app.get('/api/courses', async (req, res) => {
+  const startedAt = Date.now();
+
   try {
     const {
       page = 1,
       limit = 10,
-      category,
-      instructor,
-      level,
-      status = 'published',
       sort = 'created_at',
       order = 'desc',
-      search
+      cursor
     } = req.query;
 
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
+    const pageNum = Number(page);
+    const limitNum = Number(limit);
+    if (!Number.isInteger(limitNum) || limitNum < 1 || limitNum > MAX_PAGE_SIZE) {
+      throw new InvalidQueryError(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    if (!Number.isInteger(pageNum) || pageNum < 1) {
+      throw new InvalidQueryError('page must be a positive integer');
+    }
     const skip = (pageNum - 1) * limitNum;
+    const cursorMode = cursor !== undefined;
+    const sortSpec = parseSort(sort, order);
+    const filters = parseCourseFilters(req.query, { defaultStatus: 'published' });
 
     // Build cache key
-    const cacheKey = getCacheKey('list', pageNum, limitNum, category || 'all', instructor || 'all', level || 'all', status, sort, order, search || 'none');
+    // Keyword searches rank by text score unless a sort was requested.
+    // Keyset pages need a deterministic key, so cursor mode keeps the sort.
+    const relevance = Boolean(filters.search) && req.query.sort === undefined && !cursorMode;
+    const projection = filters.search ? TEXT_SCORE : undefined;
+    const filterKey = [hashFilters(filters), relevance ? 'relevance' : formatSort(sortSpec)];
+    const cacheKey = cursorMode
+      ? getCacheKey('list', 'cursor', cursor || 'start', limitNum, ...filterKey)
+      : getCacheKey('list', pageNum, limitNum, ...filterKey);
+
+    // Keyword searches are logged for analytics
+    const { search: searchQuery, ...searchFilters } = filters;
+    const tracking = { query: searchQuery, source: 'list', filters: searchFilters, page: cursorMode ? undefined : pageNum, startedAt };
+    const withSearchId = (result, cached = false) => (
+      searchQuery ? { ...result, search_id: trackSearch(result, { ...tracking, cached }) } : result
+    );
 
     // Try to get from cache first
     let cachedResult = await RedisClient.get(cacheKey);
@@ -189,51 +354,68 @@ app.get('/api/courses', async (req, res) => {
       return res.json({
         success: true,
         message: 'Courses retrieved from cache',
-        data: cachedResult,
+        data: withSearchId(cachedResult, true),
         cached: true
       });
     }
 
     // Build query
-    const query = { status };
-    
-    if (category) query.category = category;
-    if (instructor) query.instructor = new RegExp(instructor, 'i');
-    if (level) query.level = level;
-    if (search) {
-      query.$or = [
-        { title: new RegExp(search, 'i') },
-        { description: new RegExp(search, 'i') },
-        { instructor: new RegExp(search, 'i') },
-        { tags: new RegExp(search, 'i') }
-      ];
-    }
+    const query = buildMongoQuery(filters);
 
     // Build sort
-    const sortOrder = order === 'desc' ? -1 : 1;
-    const sortObj = { [sort]: sortOrder };
-
-    // Execute query
-    const [courses, total] = await Promise.all([
-      Course.find(query)
-        .sort(sortObj)
-        .skip(skip)
-        .limit(limitNum)
-        .lean(),
-      Course.countDocuments(query)
-    ]);
+    const sortObj = buildMongoSort(sortSpec, { relevance });
 
-    const result = {
-      courses,
-      pagination: {
-        current_page: pageNum,
-        total_pages: Math.ceil(total / limitNum),
-        total_items: total,
-        items_per_page: limitNum,
-        has_next: pageNum < Math.ceil(total / limitNum),
-        has_prev: pageNum > 1
+    let result;
+
+    if (cursorMode) {
+      const keysetSpec = withIdTieBreaker(sortSpec);
+
+      if (cursor) {
+        const values = decodeCursor(cursor, keysetSpec, Course.schema);
+        query.$and = [...(query.$and || []), buildKeysetCondition(keysetSpec, values)];
       }
-    };
+
+      // Fetch one extra document to learn whether another page exists
+      const courses = await Course.find(query, projection)
+        .sort(toSortObject(keysetSpec))
+        .limit(limitNum + 1)
+        .lean();
+
+      const hasNext = courses.length > limitNum;
+      if (hasNext) courses.pop();
+
+      result = {
+        courses,
+        pagination: {
+          mode: 'cursor',
+          items_per_page: limitNum,
+          has_next: hasNext,
+          next_cursor: hasNext ? encodeCursor(courses[courses.length - 1], keysetSpec) : null
+        }
+      };
+    } else {
+      // Execute query
+      const [courses, total] = await Promise.all([
+        Course.find(query, projection)
+          .sort(sortObj)
+          .skip(skip)
+          .limit(limitNum)
+          .lean(),
+        Course.countDocuments(query)
+      ]);
+
+      result = {
+        courses,
+        pagination: {
+          current_page: pageNum,
+          total_pages: Math.ceil(total / limitNum),
+          total_items: total,
+          items_per_page: limitNum,
+          has_next: pageNum < Math.ceil(total / limitNum),
+          has_prev: pageNum > 1
+        }
+      };
+    }
 
     // Cache the result for 5 minutes
     await RedisClient.set(cacheKey, result, 300);
@@ -241,9 +423,13 @@ app.get('/api/courses', async (req, res) => {
     res.json({
       success: true,
       message: 'Courses retrieved successfully',
-      data: result
+      data: withSearchId(result)
     });
   } catch (error) {
+    if (error instanceof InvalidCursorError || error instanceof InvalidQueryError) {
+      return sendInvalidQuery(res, error);
+    }
+
     console.error('Get courses error:', error);
     res.status(500).json({
       success: false,
@@ -252,13 +438,35 @@ app.get('/api/courses', async (req, res) => {
   }
 });
 
-// Search courses using Elasticsearch
+// Keyword search through the MongoDB text index, shaped like
+// ElasticsearchClient.searchCourses results (without facets or corrections)
+async function searchCoursesInMongo(query, filters, page, size) {
+  const mongoQuery = buildMongoQuery({ ...filters, status: 'published', search: query });
+
+  const [courses, total] = await Promise.all([
+    Course.find(mongoQuery, TEXT_SCORE)
+      .sort(buildMongoSort([['created_at', -1]], { relevance: true }))
+      .skip((page - 1) * size)
+      .limit(size)
+      .lean(),
+    Course.countDocuments(mongoQuery)
+  ]);
+
+  return {
+    hits: courses.map(({ score, ...course }) => ({ ...course, _score: score, highlight: {} })),
+    total,
+    facets: null,
+    suggestion: null
+  };
+}
+
+// Search courses using Elasticsearch, falling back to MongoDB
 app.get('/api/courses/search', async (req, res) => {
+  const startedAt = Date.now();
+
   try {
     const {
       q,
-      category,
-      instructor,
       page = 1,
       size = 10
     } = req.query;
@@ -270,50 +478,84 @@ app.get('/api/courses/search', async (req, res) => {
       });
     }
 
+    // Only published courses are indexed, so status is not a search filter
+    const { status, search, ...filters } = parseCourseFilters(req.query);
+
+    // Tags wrapped around highlighted terms; the text between them is HTML-escaped
+    const highlight = {
+      pre_tag: parseText(req.query.highlight_pre_tag, 'highlight_pre_tag') || SEARCH_HIGHLIGHT_PRE_TAG,
+      post_tag: parseText(req.query.highlight_post_tag, 'highlight_post_tag') || SEARCH_HIGHLIGHT_POST_TAG
+    };
+
+    // Score breakdowns are for debugging, so they bypass the cache; they are
+    // only given to search admins, everyone else gets the normal results
+    const explain = req.query.explain === 'true' &&
+      (await optionalPermissions(req)).includes('search:manage');
+
     // Build cache key for search results
-    const cacheKey = getCacheKey('search', q, category || 'all', instructor || 'all', page, size);
+    const cacheKey = getCacheKey('search', q, hashFilters({ filters, highlight }), page, size);
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const sizeNum = Math.max(parseInt(size) || 10, 1);
+    const tracking = { query: q, source: 'search', filters, page: pageNum, startedAt };
 
     // Try cache first
-    let cachedResult = await RedisClient.get(cacheKey);
+    let cachedResult = explain ? null : await RedisClient.get(cacheKey);
     if (cachedResult) {
       return res.json({
         success: true,
         message: 'Search results retrieved from cache',
-        data: cachedResult,
+        data: { ...cachedResult, search_id: trackSearch(cachedResult, { ...tracking, cached: true }) },
         cached: true
       });
     }
 
-    // Search using Elasticsearch
-    const searchResults = await ElasticsearchClient.searchCourses(
-      q.trim(),
-      { category, instructor },
-      parseInt(page),
-      parseInt(size)
-    );
+    // Search using Elasticsearch, or MongoDB while it is unavailable
+    let searchResults = ElasticsearchClient.isHealthy()
+      ? await ElasticsearchClient.searchCourses(q.trim(), filters, pageNum, sizeNum, {
+          highlight,
+          ranking: await RankingConfig.get(),
+          explain
+        })
+      : null;
+    const searchBackend = searchResults ? 'elasticsearch' : 'mongodb';
+    if (!searchResults) {
+      searchResults = await searchCoursesInMongo(q.trim(), filters, pageNum, sizeNum);
+    }
 
     const result = {
       courses: searchResults.hits,
       pagination: {
-        current_page: parseInt(page),
-        total_pages: Math.ceil(searchResults.total / parseInt(size)),
+        current_page: pageNum,
+        total_pages: Math.ceil(searchResults.total / sizeNum),
         total_items: searchResults.total,
-        items_per_page: parseInt(size),
-        has_next: parseInt(page) < Math.ceil(searchResults.total / parseInt(size)),
-        has_prev: parseInt(page) > 1
+        items_per_page: sizeNum,
+        has_next: pageNum < Math.ceil(searchResults.total / sizeNum),
+        has_prev: pageNum > 1
       },
-      query: q
+      facets: searchResults.facets,
+      query: q,
+      // Offer the spelling correction only when the query found next to nothing
+      did_you_mean: searchResults.total <= SEARCH_SUGGEST_MAX_HITS ? searchResults.suggestion : null,
+      search_backend: searchBackend
     };
 
-    // Cache search results for 2 minutes
-    await RedisClient.set(cacheKey, result, 120);
+    // Cache search results for 2 minutes; degraded results only briefly so
+    // Elasticsearch takes over again as soon as it is back
+    if (!explain) {
+      await RedisClient.set(cacheKey, result, searchBackend === 'elasticsearch' ? 120 : SEARCH_FALLBACK_CACHE_TTL);
+    }
 
     res.json({
       success: true,
       message: 'Courses searched successfully',
-      data: result
+      data: { ...result, search_id: trackSearch(result, tracking) }
     });
   } catch (error) {
+    if (error instanceof InvalidQueryError) {
+      return sendInvalidQuery(res, error);
+    }
+
     console.error('Search courses error:', error);
     res.status(500).json({
       success: false,
@@ -322,13 +564,473 @@ app.get('/api/courses/search', async (req, res) => {
   }
 });
 
+// Prefix completions straight from MongoDB, used while Elasticsearch is down.
+// Mirrors the completion suggester: values that start with the prefix.
+async function suggestCoursesFromMongo(prefix, size) {
+  const regex = buildPrefixRegex(prefix, 'q');
+  const published = { status: 'published' };
+
+  const [titles, instructors, tags] = await Promise.all([
+    Course.find({ ...published, title: regex }).select('course_id title').sort({ title: 1 }).limit(size).lean(),
+    Course.distinct('instructor', { ...published, instructor: regex }),
+    Course.distinct('tags', { ...published, tags: regex })
+  ]);
+
+  // distinct returns every tag of the matching courses, not just the matches
+  const matching = (values) => values.filter(value => regex.test(value)).sort().slice(0, size);
+
+  return {
+    titles: titles.map(course => ({ text: course.title, _id: course._id, course_id: course.course_id })),
+    instructors: matching(instructors).map(text => ({ text })),
+    tags: matching(tags).map(text => ({ text }))
+  };
+}
+
+// Autocomplete: title, instructor and tag completions for a few characters
+app.get('/api/courses/suggest', async (req, res) => {
+  try {
+    const prefix = parseText(req.query.q, 'q');
+    if (!prefix) {
+      return res.status(400).json({
+        success: false,
+        message: 'Query prefix is required'
+      });
+    }
+
+    const size = Math.min(Math.max(parseInt(req.query.size) || SUGGEST_DEFAULT_SIZE, 1), SUGGEST_MAX_SIZE);
+    const cacheKey = getCacheKey('suggest', prefix.toLowerCase(), size);
+
+    const cachedResult = await RedisClient.get(cacheKey);
+    if (cachedResult) {
+      return res.json({
+        success: true,
+        message: 'Suggestions retrieved successfully (cached)',
+        data: cachedResult
+      });
+    }
+
+    let suggestions = ElasticsearchClient.isHealthy()
+      ? await ElasticsearchClient.suggestCourses(prefix, size)
+      : null;
+    const searchBackend = suggestions ? 'elasticsearch' : 'mongodb';
+    if (!suggestions) {
+      suggestions = await suggestCoursesFromMongo(prefix, size);
+    }
+
+    const result = { query: prefix, suggestions, search_backend: searchBackend };
+    await RedisClient.set(cacheKey, result, SUGGEST_CACHE_TTL);
+
+    res.json({
+      success: true,
+      message: 'Suggestions retrieved successfully',
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof InvalidQueryError) {
+      return sendInvalidQuery(res, error);
+    }
+
+    console.error('Suggest courses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching suggestions'
+    });
+  }
+});
+
+// Admin search endpoints need a live cluster
+const requireSearchService = (req, res, next) => {
+  if (!ElasticsearchClient.isHealthy()) {
+    return res.status(503).json({
+      success: false,
+      message: 'Search service is not available'
+    });
+  }
+  next();
+};
+
+// Rebuild the search index from MongoDB in the background. A large catalog
+// takes longer than any proxy would wait, so the request returns 202 and
+// GET /api/courses/search/reindex reports progress and the final counts.
+app.post('/api/courses/search/reindex', authenticateToken, requirePermission('search:manage'), requireSearchService, (req, res) => {
+  const reindex = startReindex(Course, { onFinished: () => invalidateCourseCollectionCache() });
+
+  if (!reindex) {
+    return res.status(409).json({
+      success: false,
+      message: 'A reindex is already running'
+    });
+  }
+
+  res.status(202).json({
+    success: true,
+    message: 'Reindex started',
+    data: {
+      reindex,
+      status_url: '/api/courses/search/reindex'
+    }
+  });
+});
+
+// Progress of the latest reindex started on this instance
+app.get('/api/courses/search/reindex', authenticateToken, requirePermission('search:manage'), (req, res) => {
+  const reindex = getReindexStatus();
+
+  if (!reindex) {
+    return res.status(404).json({
+      success: false,
+      message: 'No reindex has been started'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: reindex.status === 'failed' || (reindex.report && reindex.report.failed > 0)
+      ? 'Reindex finished with failures'
+      : `Reindex ${reindex.status}`,
+    data: { reindex }
+  });
+});
+
+// Synonym rules for course search, e.g. "js, javascript" or "k8s => kubernetes".
+// Changes apply to searches immediately through an analyzer reload.
+const SYNONYM_RULE_ID = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_SYNONYM_RULE_LENGTH = 500;
+
+// Accept a rule string or a list of equivalent terms
+const parseSynonymRule = (value) => {
+  const synonyms = Array.isArray(value)
+    ? value.map(term => String(term).trim()).filter(Boolean).join(', ')
+    : typeof value === 'string' ? value.trim() : '';
+
+  if (!synonyms) {
+    throw new InvalidQueryError('synonyms must be a rule string or a list of terms');
+  }
+  if (synonyms.length > MAX_SYNONYM_RULE_LENGTH) {
+    throw new InvalidQueryError(`synonyms cannot exceed ${MAX_SYNONYM_RULE_LENGTH} characters`);
+  }
+  return synonyms;
+};
+
+const sendSynonymError = (res, error, action) => {
+  if (error instanceof InvalidQueryError) {
+    return sendInvalidQuery(res, error);
+  }
+
+  const statusCode = error.meta && error.meta.statusCode;
+  if (statusCode === 404) {
+    return res.status(404).json({
+      success: false,
+      message: 'Synonym rule not found'
+    });
+  }
+  // Malformed rules are rejected by Elasticsearch
+  if (statusCode === 400) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid synonym rule',
+      error: error.meta.body && error.meta.body.error && error.meta.body.error.reason
+    });
+  }
+
+  console.error(`${action} synonym rule error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Internal server error while ${action.toLowerCase()} synonym rule`
+  });
+};
+
+app.get('/api/courses/search/synonyms', authenticateToken, requirePermission('search:manage'), requireSearchService, async (req, res) => {
+  try {
+    const synonyms = await ElasticsearchClient.getSynonymRules();
+
+    res.json({
+      success: true,
+      message: 'Synonym rules retrieved successfully',
+      data: synonyms
+    });
+  } catch (error) {
+    sendSynonymError(res, error, 'Fetching');
+  }
+});
+
+async function saveSynonymRule(ruleId, body) {
+  const rule = await ElasticsearchClient.putSynonymRule(ruleId, parseSynonymRule(body.synonyms));
+  await invalidateCourseCollectionCache();
+  return rule;
+}
+
+app.post('/api/courses/search/synonyms', authenticateToken, requirePermission('search:manage'), requireSearchService, async (req, res) => {
+  try {
+    const rule = await saveSynonymRule(crypto.randomUUID(), req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Synonym rule created successfully',
+      data: { rule }
+    });
+  } catch (error) {
+    sendSynonymError(res, error, 'Creating');
+  }
+});
+
+app.put('/api/courses/search/synonyms/:ruleId', authenticateToken, requirePermission('search:manage'), requireSearchService, async (req, res) => {
+  if (!SYNONYM_RULE_ID.test(req.params.ruleId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Rule IDs may only contain letters, digits, dashes and underscores (max 64)'
+    });
+  }
+
+  try {
+    const rule = await saveSynonymRule(req.params.ruleId, req.body);
+
+    res.status(rule.result === 'created' ? 201 : 200).json({
+      success: true,
+      message: `Synonym rule ${rule.result === 'created' ? 'created' : 'updated'} successfully`,
+      data: { rule }
+    });
+  } catch (error) {
+    sendSynonymError(res, error, 'Saving');
+  }
+});
+
+app.delete('/api/courses/search/synonyms/:ruleId', authenticateToken, requirePermission('search:manage'), requireSearchService, async (req, res) => {
+  try {
+    await ElasticsearchClient.deleteSynonymRule(req.params.ruleId);
+    await invalidateCourseCollectionCache();
+
+    res.json({
+      success: true,
+      message: 'Synonym rule deleted successfully'
+    });
+  } catch (error) {
+    sendSynonymError(res, error, 'Deleting');
+  }
+});
+
+// Search ranking weights. PUT replaces the whole config; omitted settings
+// fall back to their defaults. Changes apply to the next search.
+app.get('/api/courses/search/ranking', authenticateToken, requirePermission('search:manage'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      message: 'Ranking config retrieved successfully',
+      data: {
+        ranking: await RankingConfig.get(),
+        defaults: DEFAULT_RANKING,
+        limits: RANKING_LIMITS
+      }
+    });
+  } catch (error) {
+    console.error('Get ranking config error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving ranking config'
+    });
+  }
+});
+
+app.put('/api/courses/search/ranking', authenticateToken, requirePermission('search:manage'), async (req, res) => {
+  try {
+    const ranking = await RankingConfig.update(req.body, req.user.id);
+    await invalidateCourseCollectionCache();
+
+    res.json({
+      success: true,
+      message: 'Ranking config updated successfully',
+      data: { ranking }
+    });
+  } catch (error) {
+    if (error instanceof InvalidQueryError) {
+      return sendInvalidQuery(res, error);
+    }
+
+    console.error('Update ranking config error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating ranking config'
+    });
+  }
+});
+
+// Record that a learner opened a search result. search_id comes from the
+// search or list response the result was shown in.
+app.post('/api/courses/search/click', async (req, res) => {
+  try {
+    const { search_id: searchId, course_id: courseId, position } = req.body;
+
+    if (!mongoose.isValidObjectId(searchId) || typeof courseId !== 'string' || !courseId.trim() || courseId.length > 64) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid search_id and course_id are required'
+      });
+    }
+    if (position !== undefined && (!Number.isInteger(position) || position < 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'position must be a positive integer'
+      });
+    }
+
+    const recorded = await SearchAnalytics.recordClick(searchId, courseId.trim(), position);
+    if (!recorded) {
+      return res.status(404).json({
+        success: false,
+        message: 'Search not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Click recorded successfully'
+    });
+  } catch (error) {
+    console.error('Record search click error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while recording click'
+    });
+  }
+});
+
+// Search analytics reports over `from`..`to` (default: the last 7 days)
+const searchReport = (name, build) => async (req, res) => {
+  try {
+    const options = SearchAnalytics.parseReportOptions(req.query);
+    const report = await build(options);
+
+    res.json({
+      success: true,
+      message: `${name} retrieved successfully`,
+      data: { from: options.from, to: options.to, ...report }
+    });
+  } catch (error) {
+    if (error instanceof InvalidQueryError) {
+      return sendInvalidQuery(res, error);
+    }
+
+    console.error(`${name} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Internal server error while retrieving ${name.toLowerCase()}`
+    });
+  }
+};
+
+app.get('/api/courses/search/analytics/top-queries', authenticateToken, requirePermission('analytics:read'), searchReport('Top queries',
+  async (options) => ({ queries: await SearchAnalytics.topQueries(options) })));
+
+app.get('/api/courses/search/analytics/zero-results', authenticateToken, requirePermission('analytics:read'), searchReport('Zero-result queries',
+  async (options) => ({ queries: await SearchAnalytics.zeroResultQueries(options) })));
+
+app.get('/api/courses/search/analytics/ctr', authenticateToken, requirePermission('analytics:read'), searchReport('Click-through rate',
+  (options) => SearchAnalytics.clickThroughRate(options)));
+
+// Export courses as CSV (importer column layout), JSON or NDJSON.
+// Accepts the same filters as GET /api/courses and streams from a cursor.
+const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+app.get('/api/courses/export', authenticateToken, requirePermission('courses:import'), async (req, res) => {
+  const {
+    format = 'csv',
+    sort = 'created_at',
+    order = 'desc'
+  } = req.query;
+
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid export format. Must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+    });
+  }
+
+  let sortSpec;
+  let filters;
+  try {
+    sortSpec = withIdTieBreaker(parseSort(sort, order));
+    filters = parseCourseFilters(req.query, { defaultStatus: 'published' });
+  } catch (error) {
+    return sendInvalidQuery(res, error);
+  }
+
+  const query = buildMongoQuery(filters);
+  const relevance = Boolean(filters.search) && req.query.sort === undefined;
+  const cursor = Course.find(query, filters.search ? TEXT_SCORE : undefined)
+    .sort(buildMongoSort(sortSpec, { relevance }))
+    .lean()
+    .cursor();
+
+  // Stop reading from Mongo if the client goes away
+  let aborted = false;
+  res.on('close', () => {
+    if (!res.writableEnded) aborted = true;
+  });
+
+  const write = async (chunk) => {
+    if (!res.write(chunk) && !aborted) {
+      await Promise.race([once(res, 'drain'), once(res, 'close')]);
+    }
+  };
+
+  const begin = async () => {
+    res.setHeader('Content-Type', EXPORT_FORMATS[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="courses-${Date.now()}.${format}"`);
+    if (format === 'csv') await write(formatCsvRow(IMPORT_COLUMNS));
+    if (format === 'json') await write('[');
+  };
+
+  try {
+    let first = true;
+
+    for await (const course of cursor) {
+      if (aborted) {
+        await cursor.close();
+        return;
+      }
+
+      if (first) await begin();
+
+      if (format === 'csv') {
+        await write(formatCourseCsvRow(course));
+      } else if (format === 'json') {
+        await write((first ? '' : ',') + JSON.stringify(course));
+      } else {
+        await write(JSON.stringify(course) + '\n');
+      }
+      first = false;
+    }
+
+    // An empty export is still a valid document
+    if (first) await begin();
+    if (format === 'json') await write(']');
+    res.end();
+  } catch (error) {
+    console.error('Export courses error:', error);
+    await cursor.close();
+
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error while exporting courses'
+      });
+    }
+    // Headers are gone, so cut the stream to signal an incomplete file
+    res.destroy(error);
+  }
+});
+
 // Get single course by ID
 app.get('/api/courses/:id', async (req, res) => {
   try {
     const { id } = req.params;
 
     // Try cache first
-    const cacheKey = getCacheKey('single', id);
+    const cacheKey = singleCourseCacheKey(id);
     let cachedCourse = await RedisClient.get(cacheKey);
     
     if (cachedCourse) {
@@ -341,12 +1043,7 @@ app.get('/api/courses/:id', async (req, res) => {
     }
 
     // Find by MongoDB ObjectId or course_id
-    const course = await Course.findOne({
-      $or: [
-        { _id: id },
-        { course_id: id.toUpperCase() }
-      ]
-    }).lean();
+    const course = await Course.findOne(buildCourseLookup(id)).lean();
 
     if (!course) {
       return res.status(404).json({
@@ -372,140 +1069,131 @@ app.get('/api/courses/:id', async (req, res) => {
   }
 });
 
-// Upload courses from CSV
-app.post('/api/courses/upload', upload.single('csvFile'), async (req, res) => {
+// Published courses sharing tags with `course` in its category and level,
+// ranked by tag overlap. Used while Elasticsearch is unavailable.
+async function relatedCoursesFromMongo(course, size) {
+  return Course.aggregate([
+    {
+      $match: {
+        _id: { $ne: course._id },
+        status: 'published',
+        category: course.category,
+        level: course.level
+      }
+    },
+    { $addFields: { _score: { $size: { $setIntersection: [{ $ifNull: ['$tags', []] }, course.tags || []] } } } },
+    { $sort: { _score: -1, rating: -1, enrollments: -1 } },
+    { $limit: size }
+  ]);
+}
+
+// Get courses similar to a course
+app.get('/api/courses/:id/related', async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({
+    const size = Math.min(Math.max(parseInt(req.query.size) || RELATED_DEFAULT_SIZE, 1), RELATED_MAX_SIZE);
+
+    const course = await Course.findOne(buildCourseLookup(req.params.id)).lean();
+    if (!course) {
+      return res.status(404).json({
         success: false,
-        message: 'No CSV file uploaded'
+        message: 'Course not found'
       });
     }
 
-    const results = [];
-    const errors = [];
-    const filePath = req.file.path;
-
-    // Parse CSV
-    const parsePromise = new Promise((resolve, reject) => {
-      fs.createReadStream(filePath)
-        .pipe(csv())
-        .on('data', (data) => results.push(data))
-        .on('end', resolve)
-        .on('error', reject);
-    });
-
-    await parsePromise;
-
-    if (results.length === 0) {
-      fs.unlinkSync(filePath); // Clean up
-      return res.status(400).json({
-        success: false,
-        message: 'CSV file is empty or invalid'
+    // Stored under the course's own key so writes to it evict the list
+    const cacheKey = getCacheKey('single', course._id.toString(), 'related', size);
+    const cachedResult = await RedisClient.get(cacheKey);
+    if (cachedResult) {
+      return res.json({
+        success: true,
+        message: 'Related courses retrieved from cache',
+        data: cachedResult,
+        cached: true
       });
     }
 
-    const coursesToSave = [];
-    const requiredFields = ['title', 'description', 'category', 'instructor', 'duration'];
-
-    // Validate and prepare courses
-    for (let i = 0; i < results.length; i++) {
-      const row = results[i];
-      const rowNum = i + 1;
-
-      // Check required fields
-      const missingFields = requiredFields.filter(field => !row[field] || row[field].trim() === '');
-      if (missingFields.length > 0) {
-        errors.push(`Row ${rowNum}: Missing required fields: ${missingFields.join(', ')}`);
-        continue;
-      }
-
-      // Prepare course data
-      const courseData = {
-        course_id: row.course_id?.toUpperCase().trim(),
-        title: row.title?.trim(),
-        description: row.description?.trim(),
-        category: row.category?.trim(),
-        instructor: row.instructor?.trim(),
-        duration: parseFloat(row.duration) || 0,
-        level: row.level?.trim() || 'Beginner',
-        price: parseFloat(row.price) || 0,
-        rating: Math.min(parseFloat(row.rating) || 0, 5),
-        tags: row.tags ? row.tags.split(',').map(tag => tag.trim().toLowerCase()) : [],
-        prerequisites: row.prerequisites ? row.prerequisites.split(',').map(p => p.trim()) : [],
-        learning_outcomes: row.learning_outcomes ? row.learning_outcomes.split(',').map(o => o.trim()) : [],
-        thumbnail_url: row.thumbnail_url?.trim() || 'https://images.pexels.com/photos/3861958/pexels-photo-3861958.jpeg'
-      };
+    let courses = ElasticsearchClient.isHealthy()
+      ? await ElasticsearchClient.relatedCourses(course, size)
+      : null;
+    const searchBackend = courses ? 'elasticsearch' : 'mongodb';
+    if (!courses) {
+      courses = await relatedCoursesFromMongo(course, size);
+    }
 
-      // Validate category
-      const validCategories = [
-        'Programming', 'Data Science', 'Web Development', 'Mobile Development',
-        'Machine Learning', 'DevOps', 'Database', 'Cloud Computing', 
-        'Cybersecurity', 'UI/UX Design', 'Digital Marketing', 'Business', 'Other'
-      ];
+    const result = { courses, search_backend: searchBackend };
 
-      if (!validCategories.includes(courseData.category)) {
-        courseData.category = 'Other';
-      }
+    // Cache for 10 minutes, or briefly when served by the fallback
+    await RedisClient.set(cacheKey, result, searchBackend === 'elasticsearch' ? 600 : SEARCH_FALLBACK_CACHE_TTL);
 
-      // Validate level
-      const validLevels = ['Beginner', 'Intermediate', 'Advanced'];
-      if (!validLevels.includes(courseData.level)) {
-        courseData.level = 'Beginner';
-      }
+    res.json({
+      success: true,
+      message: 'Related courses retrieved successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Get related courses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving related courses'
+    });
+  }
+});
 
-      coursesToSave.push(courseData);
-    }
+// Upload courses from CSV
+// Queues a background import job and returns its id straight away.
+// mode: insert (default) | upsert | replace, keyed on course_id
+// dry_run=true validates every row and reports the outcome without writing
+// Checked before the upload is stored, so a refused file never hits the disk
+const requireImportWorker = (req, res, next) => {
+  if (!ImportWorker.isReady()) {
+    return res.status(503).json({
+      success: false,
+      message: 'Import service is not available'
+    });
+  }
+  next();
+};
 
-    if (coursesToSave.length === 0) {
-      fs.unlinkSync(filePath);
+app.post('/api/courses/upload', authenticateToken, requirePermission('courses:import'), requireImportWorker, upload.single('csvFile'), async (req, res) => {
+  try {
+    if (!req.file) {
       return res.status(400).json({
         success: false,
-        message: 'No valid courses found in CSV',
-        errors
+        message: 'No CSV file uploaded'
       });
     }
 
-    // Save courses to database
-    const savedCourses = [];
-    const saveErrors = [];
-
-    for (const courseData of coursesToSave) {
-      try {
-        const course = new Course(courseData);
-        const savedCourse = await course.save();
-        savedCourses.push(savedCourse);
+    const mode = req.body.mode || req.query.mode || 'insert';
+    const dryRun = String(req.body.dry_run || req.query.dry_run) === 'true';
 
-        // Index in Elasticsearch
-        if (ElasticsearchClient.isHealthy()) {
-          await ElasticsearchClient.indexCourse(savedCourse);
-        }
-      } catch (error) {
-        if (error.code === 11000) {
-          saveErrors.push(`Course with ID ${courseData.course_id} already exists`);
-        } else {
-          saveErrors.push(`Error saving course "${courseData.title}": ${error.message}`);
-        }
-      }
+    if (!IMPORT_MODES.includes(mode)) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({
+        success: false,
+        message: `Invalid import mode. Must be one of: ${IMPORT_MODES.join(', ')}`
+      });
     }
 
-    // Clean up uploaded file
-    fs.unlinkSync(filePath);
+    const job = await ImportJob.create({
+      mode,
+      dry_run: dryRun,
+      file_name: req.file.originalname,
+      file_path: req.file.path,
+      created_by: req.user.id
+    });
 
-    // Clear relevant cache
-    const cachePattern = getCacheKey('list', '*');
-    // Note: In production, you might want to use a more sophisticated cache invalidation
+    ImportWorker.enqueue(job._id);
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: 'CSV upload processed successfully',
+      message: dryRun ? 'CSV dry run queued' : 'CSV import queued',
       data: {
-        total_rows: results.length,
-        valid_courses: coursesToSave.length,
-        saved_courses: savedCourses.length,
-        courses: savedCourses
-      },
-      errors: [...errors, ...saveErrors]
+        job_id: job._id,
+        status: job.status,
+        mode,
+        dry_run: dryRun,
+        status_url: `/api/courses/imports/${job._id}`
+      }
     });
   } catch (error) {
     console.error('CSV upload error:', error);
@@ -523,24 +1211,81 @@ app.post('/api/courses/upload', upload.single('csvFile'), async (req, res) => {
   }
 });
 
+// Get CSV import job progress and results
+app.get('/api/courses/imports/:jobId', authenticateToken, requirePermission('courses:import'), async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    if (!mongoose.isValidObjectId(jobId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import job not found'
+      });
+    }
+
+    const job = await ImportJob.findById(jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Import job retrieved successfully',
+      data: { job }
+    });
+  } catch (error) {
+    console.error('Get import job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving import job'
+    });
+  }
+});
+
+// Download the rejected rows of an import as CSV, with an added error column
+app.get('/api/courses/imports/:jobId/errors.csv', authenticateToken, requirePermission('courses:import'), async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const job = mongoose.isValidObjectId(jobId)
+      ? await ImportJob.findById(jobId).select('columns row_results row_results_truncated')
+      : null;
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import job not found'
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="import-${jobId}-errors.csv"`);
+    res.setHeader('X-Row-Results-Truncated', String(job.row_results_truncated));
+    res.send(buildFailedRowsCsv(job.columns, job.row_results));
+  } catch (error) {
+    console.error('Download import errors error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while building import error file'
+    });
+  }
+});
+
 // Create a new course
-app.post('/api/courses', authenticateToken, async (req, res) => {
+app.post('/api/courses', authenticateToken, requirePermission('courses:write'), async (req, res) => {
   try {
     const courseData = {
-      ...req.body,
+      ...sanitizeCourseInput(req.body),
       created_by: req.user.id
     };
 
     const course = new Course(courseData);
     const savedCourse = await course.save();
 
-    // Index in Elasticsearch
-    if (ElasticsearchClient.isHealthy()) {
-      await ElasticsearchClient.indexCourse(savedCourse);
-    }
-
-    // Clear cache
-    await RedisClient.del(getCacheKey('list', '*'));
+    await invalidateCourseCache(savedCourse);
 
     res.status(201).json({
       success: true,
@@ -549,28 +1294,130 @@ app.post('/api/courses', authenticateToken, async (req, res) => {
     });
   } catch (error) {
     console.error('Create course error:', error);
-    
-    if (error.name === 'ValidationError') {
+    sendCourseWriteError(res, error, 'creating');
+  }
+});
+
+// Update a course (PUT replaces all editable fields, PATCH merges)
+const updateCourse = (replace) => async (req, res) => {
+  try {
+    const course = await Course.findOne(buildCourseLookup(req.params.id));
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const updates = sanitizeCourseInput(req.body);
+
+    if (updates.status !== undefined && updates.status !== course.status) {
       return res.status(400).json({
         success: false,
-        message: 'Validation error',
-        errors: Object.keys(error.errors).map(key => ({
-          field: key,
-          message: error.errors[key].message
-        }))
+        message: 'Use the publish and archive endpoints to change course status'
+      });
+    }
+    delete updates.status;
+
+    const previousCourseId = course.course_id;
+
+    if (replace) {
+      const preserved = {
+        course_id: updates.course_id || course.course_id,
+        status: course.status,
+        enrollments: course.enrollments,
+        created_by: course.created_by,
+        created_at: course.created_at
+      };
+      course.overwrite({ ...updates, ...preserved });
+    } else {
+      course.set(updates);
+    }
+
+    const savedCourse = await course.save();
+
+    await invalidateCourseCache(savedCourse);
+    if (previousCourseId !== savedCourse.course_id) {
+      await RedisClient.del(singleCourseCacheKey(previousCourseId));
+    }
+
+    res.json({
+      success: true,
+      message: 'Course updated successfully',
+      data: { course: savedCourse }
+    });
+  } catch (error) {
+    console.error('Update course error:', error);
+    sendCourseWriteError(res, error, 'updating');
+  }
+};
+
+app.put('/api/courses/:id', authenticateToken, requirePermission('courses:write'), updateCourse(true));
+app.patch('/api/courses/:id', authenticateToken, requirePermission('courses:write'), updateCourse(false));
+
+// Change course status (draft -> published -> archived)
+const transitionCourseStatus = (targetStatus) => async (req, res) => {
+  try {
+    const course = await Course.findOne(buildCourseLookup(req.params.id));
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
       });
     }
 
-    if (error.code === 11000) {
+    if (!STATUS_TRANSITIONS[targetStatus].includes(course.status)) {
       return res.status(409).json({
         success: false,
-        message: 'Course with this ID already exists'
+        message: `Cannot change course status from ${course.status} to ${targetStatus}`
+      });
+    }
+
+    course.status = targetStatus;
+    const savedCourse = await course.save();
+
+    await invalidateCourseCache(savedCourse);
+
+    res.json({
+      success: true,
+      message: `Course ${targetStatus} successfully`,
+      data: { course: savedCourse }
+    });
+  } catch (error) {
+    console.error('Course status change error:', error);
+    sendCourseWriteError(res, error, 'updating');
+  }
+};
+
+app.post('/api/courses/:id/publish', authenticateToken, requirePermission('courses:write'), transitionCourseStatus('published'));
+app.post('/api/courses/:id/archive', authenticateToken, requirePermission('courses:write'), transitionCourseStatus('archived'));
+
+// Delete a course
+app.delete('/api/courses/:id', authenticateToken, requirePermission('courses:delete'), async (req, res) => {
+  try {
+    const course = await Course.findOneAndDelete(buildCourseLookup(req.params.id));
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
       });
     }
 
+    await invalidateCourseCache(course);
+
+    res.json({
+      success: true,
+      message: 'Course deleted successfully',
+      data: { course }
+    });
+  } catch (error) {
+    console.error('Delete course error:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error while creating course'
+      message: 'Internal server error while deleting course'
     });
   }
 });
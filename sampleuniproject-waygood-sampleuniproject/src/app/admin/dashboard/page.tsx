@@ -116,19 +116,36 @@ export default function AdminDashboardPage() {
       const response = await courseApi.uploadCourses(file, token);
       
       if (response.success && response.data) {
-        const { total_rows, valid_courses, saved_courses, errors } = response.data;
+        toast({
+          title: 'Import Started',
+          description: `Processing "${file.name}" in the background...`,
+        });
+
+        const jobResponse = await courseApi.waitForImportJob(response.data.job_id, token);
+        const job = jobResponse.data?.job;
+
+        if (!jobResponse.success || !job || job.status === 'failed') {
+          toast({
+            variant: 'destructive',
+            title: 'Upload Failed',
+            description: job?.error_message || jobResponse.message || 'Failed to import courses.',
+          });
+          return;
+        }
+
+        const { created, updated, rejected } = job.counts;
         
         toast({
           title: <div className="flex items-center gap-2"><CheckCircle className="text-green-500" /> Upload Complete</div>,
-          description: `Processed ${total_rows} rows. ${saved_courses} courses saved successfully.`,
+          description: `Processed ${job.total_rows} rows. ${created} courses created, ${updated} updated.`,
         });
 
-        if (errors && errors.length > 0) {
-          console.warn('Upload errors:', errors);
+        if (rejected > 0) {
+          console.warn('Upload errors:', job.row_results);
           toast({
             variant: 'destructive',
             title: 'Some Issues Found',
-            description: `${errors.length} errors occurred during upload. Check console for details.`,
+            description: `${rejected} rows were rejected. Check console for details.`,
           });
         }
       } else {
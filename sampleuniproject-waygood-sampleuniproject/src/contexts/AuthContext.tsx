@@ -1,6 +1,6 @@
 'use client';
 
-import React, { createContext, useContext, useState, useEffect, ReactNode } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, ReactNode } from 'react';
 import { authApi, type Admin, type LoginResponse } from '@/lib/api';
 
 interface AuthContextType {
@@ -9,12 +9,28 @@ interface AuthContextType {
   isLoading: boolean;
   isAuthenticated: boolean;
   login: (email: string, password: string) => Promise<{ success: boolean; message: string }>;
-  logout: () => void;
-  signup: (username: string, email: string, password: string) => Promise<{ success: boolean; message: string }>;
+  logout: () => Promise<void>;
 }
 
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
 
+// Refresh the access token this long before it expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+function storeSession({ admin, token, refreshToken, expiresIn }: LoginResponse) {
+  localStorage.setItem('admin_token', token);
+  localStorage.setItem('admin_refresh_token', refreshToken);
+  localStorage.setItem('admin_token_expires_at', String(Date.now() + expiresIn * 1000));
+  localStorage.setItem('admin_data', JSON.stringify(admin));
+}
+
+function clearSession() {
+  localStorage.removeItem('admin_token');
+  localStorage.removeItem('admin_refresh_token');
+  localStorage.removeItem('admin_token_expires_at');
+  localStorage.removeItem('admin_data');
+}
+
 export function AuthProvider({ children }: { children: ReactNode }) {
   const [admin, setAdmin] = useState<Admin | null>(null);
   const [token, setToken] = useState<string | null>(null);
@@ -22,6 +38,29 @@ export function AuthProvider({ children }: { children: ReactNode }) {
 
   const isAuthenticated = !!admin && !!token;
 
+  const applySession = useCallback((session: LoginResponse) => {
+    storeSession(session);
+    setAdmin(session.admin);
+    setToken(session.token);
+  }, []);
+
+  // Exchange the stored refresh token for a new pair; clears the session when
+  // the refresh token is no longer accepted
+  const refreshSession = useCallback(async () => {
+    const refreshToken = localStorage.getItem('admin_refresh_token');
+    const response = refreshToken ? await authApi.refresh(refreshToken) : null;
+
+    if (response && response.success && response.data) {
+      applySession(response.data);
+      return true;
+    }
+
+    clearSession();
+    setAdmin(null);
+    setToken(null);
+    return false;
+  }, [applySession]);
+
   // Initialize auth state from localStorage
   useEffect(() => {
     const initializeAuth = async () => {
@@ -36,22 +75,29 @@ export function AuthProvider({ children }: { children: ReactNode }) {
             setToken(storedToken);
             setAdmin(JSON.parse(storedAdmin));
           } else {
-            // Token is invalid, clear storage
-            localStorage.removeItem('admin_token');
-            localStorage.removeItem('admin_data');
+            // Access token expired or revoked; try the refresh token
+            await refreshSession();
           }
         }
       } catch (error) {
         console.error('Auth initialization error:', error);
-        localStorage.removeItem('admin_token');
-        localStorage.removeItem('admin_data');
+        clearSession();
       } finally {
         setIsLoading(false);
       }
     };
 
     initializeAuth();
-  }, []);
+  }, [refreshSession]);
+
+  // Keep the access token fresh while the app is open
+  useEffect(() => {
+    if (!token) return;
+
+    const expiresAt = Number(localStorage.getItem('admin_token_expires_at')) || 0;
+    const timer = setTimeout(refreshSession, Math.max(expiresAt - Date.now() - REFRESH_MARGIN_MS, 0));
+    return () => clearTimeout(timer);
+  }, [token, refreshSession]);
 
   const login = async (email: string, password: string) => {
     try {
@@ -59,15 +105,7 @@ export function AuthProvider({ children }: { children: ReactNode }) {
       const response = await authApi.login(email, password);
 
       if (response.success && response.data) {
-        const { admin: adminData, token: authToken } = response.data;
-        
-        // Store in localStorage
-        localStorage.setItem('admin_token', authToken);
-        localStorage.setItem('admin_data', JSON.stringify(adminData));
-        
-        // Update state
-        setAdmin(adminData);
-        setToken(authToken);
+        applySession(response.data);
 
         return { success: true, message: 'Login successful' };
       } else {
@@ -81,39 +119,15 @@ export function AuthProvider({ children }: { children: ReactNode }) {
     }
   };
 
-  const signup = async (username: string, email: string, password: string) => {
-    try {
-      setIsLoading(true);
-      const response = await authApi.signup(username, email, password);
-
-      if (response.success && response.data) {
-        const { admin: adminData, token: authToken } = response.data;
-        
-        // Store in localStorage
-        localStorage.setItem('admin_token', authToken);
-        localStorage.setItem('admin_data', JSON.stringify(adminData));
-        
-        // Update state
-        setAdmin(adminData);
-        setToken(authToken);
-
-        return { success: true, message: 'Registration successful' };
-      } else {
-        return { success: false, message: response.message || 'Registration failed' };
-      }
-    } catch (error) {
-      console.error('Signup error:', error);
-      return { success: false, message: 'An error occurred during registration' };
-    } finally {
-      setIsLoading(false);
+  const logout = async () => {
+    // Revoke the session server-side; local state is cleared either way
+    if (token) {
+      await authApi.logout(token, localStorage.getItem('admin_refresh_token'));
     }
-  };
 
-  const logout = () => {
     // Clear localStorage
-    localStorage.removeItem('admin_token');
-    localStorage.removeItem('admin_data');
-    
+    clearSession();
+
     // Clear state
     setAdmin(null);
     setToken(null);
@@ -126,7 +140,6 @@ export function AuthProvider({ children }: { children: ReactNode }) {
     isAuthenticated,
     login,
     logout,
-    signup,
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -15,12 +15,25 @@ export interface Admin {
   username: string;
   email: string;
   role: string;
+  // e.g. courses:write, admins:manage; resolved from the role
+  permissions?: string[];
   isActive: boolean;
 }
 
+// Signup returns no tokens: the email address must be verified first
+export interface SignupResponse {
+  admin: Admin & { emailVerified: boolean };
+  emailSent: boolean;
+}
+
 export interface LoginResponse {
   admin: Admin;
+  // Short-lived access token
   token: string;
+  // Single-use token for POST /api/auth/refresh; rotated on every refresh
+  refreshToken: string;
+  // Seconds until `token` expires
+  expiresIn: number;
 }
 
 export interface Course {
@@ -44,12 +57,97 @@ export interface Course {
   updated_at: string;
 }
 
+// Highlight fragments are HTML-escaped apart from the highlight tags
+export interface SearchHit extends Course {
+  _score: number;
+  highlight: {
+    title?: string[];
+    description?: string[];
+  };
+  // Elasticsearch score breakdown, only with `explain: true`
+  _explanation?: Record<string, unknown>;
+}
+
+export interface FacetValue {
+  value: string;
+  count: number;
+}
+
+export interface FacetBucket {
+  key: string;
+  params: Record<string, number | boolean>;
+  count: number;
+}
+
+export interface SearchFacets {
+  category: FacetValue[];
+  level: FacetValue[];
+  instructor: FacetValue[];
+  tags: FacetValue[];
+  price: FacetBucket[];
+  duration: FacetBucket[];
+  rating: FacetBucket[];
+}
+
+export interface CourseSuggestions {
+  query: string;
+  suggestions: {
+    titles: { text: string; _id: string; course_id: string }[];
+    instructors: { text: string }[];
+    tags: { text: string }[];
+  };
+  search_backend: 'elasticsearch' | 'mongodb';
+}
+
 export interface CourseUploadResponse {
+  job_id: string;
+  status: ImportJob['status'];
+  mode: ImportJob['mode'];
+  dry_run: boolean;
+  status_url: string;
+}
+
+export interface ImportIssue {
+  column: string | null;
+  value: string | null;
+  rule: string;
+  message: string;
+  action: 'rejected' | 'coerced';
+  coerced_to?: string | number;
+}
+
+export interface ImportRowResult {
+  row: number;
+  course_id?: string;
+  title?: string;
+  action: 'created' | 'updated' | 'rejected';
+  issues: ImportIssue[];
+  values?: Record<string, string>;
+}
+
+export interface ImportJob {
+  _id: string;
+  status: 'queued' | 'processing' | 'completed' | 'failed';
+  mode: 'insert' | 'upsert' | 'replace';
+  dry_run: boolean;
+  file_name: string;
   total_rows: number;
-  valid_courses: number;
-  saved_courses: number;
-  courses: Course[];
-  errors: string[];
+  processed_rows: number;
+  progress: number;
+  counts: {
+    created: number;
+    updated: number;
+    rejected: number;
+    coerced: number;
+    indexed: number;
+    index_failed: number;
+  };
+  columns: string[];
+  row_results: ImportRowResult[];
+  row_results_truncated: boolean;
+  error_message?: string;
+  created_at: string;
+  finished_at?: string;
 }
 
 export interface CourseStats {
@@ -108,10 +206,57 @@ export const authApi = {
     });
   },
 
-  async signup(username: string, email: string, password: string, role = 'admin'): Promise<ApiResponse<LoginResponse>> {
-    return apiRequest<LoginResponse>('/api/auth/signup', {
+  // Signup is invite-only; the invite decides the email and role
+  async signup(username: string, password: string, inviteToken: string): Promise<ApiResponse<SignupResponse>> {
+    return apiRequest<SignupResponse>('/api/auth/signup', {
+      method: 'POST',
+      body: JSON.stringify({ username, password, inviteToken }),
+    });
+  },
+
+  async verifyEmail(token: string): Promise<ApiResponse<void>> {
+    return apiRequest<void>('/api/auth/verify-email', {
+      method: 'POST',
+      body: JSON.stringify({ token }),
+    });
+  },
+
+  async resendVerification(email: string): Promise<ApiResponse<void>> {
+    return apiRequest<void>('/api/auth/resend-verification', {
+      method: 'POST',
+      body: JSON.stringify({ email }),
+    });
+  },
+
+  async forgotPassword(email: string): Promise<ApiResponse<void>> {
+    return apiRequest<void>('/api/auth/forgot-password', {
+      method: 'POST',
+      body: JSON.stringify({ email }),
+    });
+  },
+
+  async resetPassword(token: string, password: string): Promise<ApiResponse<void>> {
+    return apiRequest<void>('/api/auth/reset-password', {
+      method: 'POST',
+      body: JSON.stringify({ token, password }),
+    });
+  },
+
+  async refresh(refreshToken: string): Promise<ApiResponse<LoginResponse>> {
+    return apiRequest<LoginResponse>('/api/auth/refresh', {
       method: 'POST',
-      body: JSON.stringify({ username, email, password, role }),
+      body: JSON.stringify({ refreshToken }),
+    });
+  },
+
+  async logout(token: string, refreshToken?: string | null): Promise<ApiResponse<void>> {
+    return apiRequest<void>('/api/auth/logout', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ refreshToken }),
     });
   },
 
@@ -146,6 +291,17 @@ export const courseApi = {
     sort?: string;
     order?: string;
     search?: string;
+    cursor?: string;
+    tags?: string;
+    tags_match?: 'any' | 'all';
+    price_min?: number;
+    price_max?: number;
+    free?: boolean;
+    duration_min?: number;
+    duration_max?: number;
+    rating_min?: number;
+    created_after?: string;
+    created_before?: string;
   } = {}): Promise<ApiResponse<{
     courses: Course[];
     pagination: {
@@ -155,7 +311,14 @@ export const courseApi = {
       items_per_page: number;
       has_next: boolean;
       has_prev: boolean;
+    } | {
+      mode: 'cursor';
+      items_per_page: number;
+      has_next: boolean;
+      next_cursor: string | null;
     };
+    // Present when the request used `search`
+    search_id?: string | null;
   }>> {
     const searchParams = new URLSearchParams();
     Object.entries(params).forEach(([key, value]) => {
@@ -171,13 +334,35 @@ export const courseApi = {
     return apiRequest<{ course: Course }>(`/api/courses/${id}`);
   },
 
+  async getRelatedCourses(id: string, size?: number): Promise<ApiResponse<{
+    courses: Course[];
+    search_backend: 'elasticsearch' | 'mongodb';
+  }>> {
+    const query = size !== undefined ? `?size=${size}` : '';
+    return apiRequest(`/api/courses/${id}/related${query}`);
+  },
+
   async searchCourses(query: string, filters: {
     category?: string;
     instructor?: string;
+    level?: string;
+    tags?: string;
+    tags_match?: 'any' | 'all';
+    price_min?: number;
+    price_max?: number;
+    free?: boolean;
+    duration_min?: number;
+    duration_max?: number;
+    rating_min?: number;
+    created_after?: string;
+    created_before?: string;
     page?: number;
     size?: number;
+    highlight_pre_tag?: string;
+    highlight_post_tag?: string;
+    explain?: boolean;
   } = {}): Promise<ApiResponse<{
-    courses: Course[];
+    courses: SearchHit[];
     pagination: {
       current_page: number;
       total_pages: number;
@@ -186,7 +371,11 @@ export const courseApi = {
       has_next: boolean;
       has_prev: boolean;
     };
+    facets: SearchFacets | null;
     query: string;
+    did_you_mean: { text: string; highlighted: string } | null;
+    search_backend: 'elasticsearch' | 'mongodb';
+    search_id: string | null;
   }>> {
     const searchParams = new URLSearchParams({ q: query });
     Object.entries(filters).forEach(([key, value]) => {
@@ -198,6 +387,23 @@ export const courseApi = {
     return apiRequest(`/api/courses/search?${searchParams.toString()}`);
   },
 
+  // Report that a search result was opened, for search analytics
+  async trackSearchClick(searchId: string, courseId: string, position?: number): Promise<ApiResponse<void>> {
+    return apiRequest('/api/courses/search/click', {
+      method: 'POST',
+      body: JSON.stringify({ search_id: searchId, course_id: courseId, position }),
+    });
+  },
+
+  async suggestCourses(prefix: string, size?: number): Promise<ApiResponse<CourseSuggestions>> {
+    const searchParams = new URLSearchParams({ q: prefix });
+    if (size !== undefined) {
+      searchParams.append('size', size.toString());
+    }
+
+    return apiRequest(`/api/courses/suggest?${searchParams.toString()}`);
+  },
+
   async uploadCourses(file: File, token: string): Promise<ApiResponse<CourseUploadResponse>> {
     const formData = new FormData();
     formData.append('csvFile', file);
@@ -227,6 +433,32 @@ export const courseApi = {
     }
   },
 
+  async getImportJob(jobId: string, token: string): Promise<ApiResponse<{ job: ImportJob }>> {
+    return apiRequest<{ job: ImportJob }>(`/api/courses/imports/${jobId}`, {
+      method: 'GET',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+  },
+
+  // Poll an import job until it completes or fails
+  async waitForImportJob(jobId: string, token: string, intervalMs = 2000): Promise<ApiResponse<{ job: ImportJob }>> {
+    for (;;) {
+      const response = await courseApi.getImportJob(jobId, token);
+      if (!response.success || !response.data) {
+        return response;
+      }
+
+      const { status } = response.data.job;
+      if (status === 'completed' || status === 'failed') {
+        return response;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+  },
+
   async createCourse(courseData: Partial<Course>, token: string): Promise<ApiResponse<{ course: Course }>> {
     return apiRequest<{ course: Course }>('/api/courses', {
       method: 'POST',